@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+/**
+ * Headless renderer: renders a project file (or a features JSON payload) without the Electron window
+ *
+ * Usage: framenext render <project.fnproj|features.json> -o <out.mp4> [--main <video>] [--jobs <n>] [--preview] [--verbose]
+ *
+ * Uses the ffmpeg binary from ffmpeg-static unless FFMPEG_PATH is set; ffprobe is taken from
+ * FFPROBE_PATH or the PATH. --jobs sets the threads the filtergraph runs on and how many merge clips
+ * are probed at once (default: CPU count); the app has the same limit in its settings.
+ */
+const path = require("path");
+const ffmpeg = require("fluent-ffmpeg");
+const ffmpegPath = require("ffmpeg-static");
+const { readProjectFile, projectToFeatures } = require("./utils/projectUtils");
+const { normalizeMainVideoPath } = require("./utils/pathUtils");
+const { prepareOutputPath } = require("./utils/fileUtils");
+const { processVideoPipeline } = require("./video/pipeline");
+const { validateFeatures, formatValidationErrors } = require("./video/schema");
+
+const USAGE = "Usage: framenext render <project.fnproj|features.json> -o <out.mp4> [--main <video>] [--jobs <n>] [--preview] [--verbose]";
+
+// Exit codes
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+const EXIT_CANCELLED = 130;
+
+/**
+ * Parses command-line arguments
+ * @param {string[]} argv - Arguments after the node binary and script
+ * @returns {Object} {command, input, output, mainVideo, jobs, preview, verbose}
+ * @throws {Error} On unknown options or missing values
+ */
+function parseArgs(argv) {
+  const args = { command: null, input: null, output: null, mainVideo: null, jobs: null, preview: false, verbose: false };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const takeValue = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+
+    if (arg === "-o" || arg === "--output") {
+      args.output = takeValue();
+    } else if (arg === "--main") {
+      args.mainVideo = takeValue();
+    } else if (arg === "--jobs") {
+      args.jobs = Number(takeValue());
+      if (!Number.isInteger(args.jobs) || args.jobs < 1) throw new Error("--jobs must be a whole number of 1 or more");
+    } else if (arg === "--preview") {
+      args.preview = true;
+    } else if (arg === "--verbose") {
+      args.verbose = true;
+    } else if (arg.startsWith("-")) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  [args.command, args.input] = positional;
+  return args;
+}
+
+/**
+ * Formats a progress event as one line of output
+ * @param {Object} progress - {step, percent, fps, eta, clips}
+ * @returns {string} Progress line
+ */
+function formatProgress(progress) {
+  if (progress.step === "probe") {
+    return progress.clips ? `Probing inputs ${progress.clips.done}/${progress.clips.total} clips` : "Probing inputs...";
+  }
+  let line = `Rendering ${Math.floor(progress.percent || 0)}%`;
+  if (progress.clips) line += `  ${progress.clips.done}/${progress.clips.total} clips rendered`;
+  if (progress.fps) line += `  ${Math.round(progress.fps)} fps`;
+  if (progress.eta !== null && progress.eta !== undefined) line += `  eta ${Math.ceil(progress.eta)}s`;
+  return line;
+}
+
+/**
+ * Renders a project or features file
+ * @param {Object} args - Parsed arguments
+ * @returns {Promise<string>} Output path
+ */
+async function render(args) {
+  const inputPath = path.resolve(args.input);
+  const project = readProjectFile(inputPath);
+
+  const mainVideo = args.mainVideo ? path.resolve(args.mainVideo) : project.mainVideo;
+  if (!mainVideo) {
+    throw new Error("No main video: the file has none, pass one with --main");
+  }
+
+  const { features, errors } = validateFeatures(projectToFeatures(project));
+  if (errors.length > 0) {
+    throw new Error(`Invalid edit:\n${formatValidationErrors(errors)}`);
+  }
+
+  const controller = new AbortController();
+  process.on("SIGINT", () => controller.abort());
+
+  // Print one line per step and whole percent
+  let last = null;
+  const onProgress = (progress) => {
+    const key = `${progress.step}:${Math.floor(progress.percent || 0)}`;
+    if (key === last) return;
+    last = key;
+    process.stdout.write(formatProgress(progress) + "\n");
+  };
+
+  return processVideoPipeline(
+    normalizeMainVideoPath(mainVideo),
+    features,
+    prepareOutputPath(path.resolve(args.output)),
+    { isPreview: args.preview, onProgress, signal: controller.signal, concurrency: args.jobs }
+  );
+}
+
+/**
+ * Runs the CLI
+ * @returns {Promise<number>} Exit code
+ */
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+
+  if (args.command !== "render" || !args.input || !args.output) {
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+
+  ffmpeg.setFfmpegPath(process.env.FFMPEG_PATH || ffmpegPath);
+
+  // The pipeline logs its filtergraph and ffmpeg details; keep stdout for progress unless asked
+  const log = console.log;
+  console.log = args.verbose ? console.error : () => {};
+
+  try {
+    const outputPath = await render(args);
+    log(`Done: ${outputPath}`);
+    return 0;
+  } catch (error) {
+    if (error.cancelled) {
+      console.error("Render cancelled");
+      return EXIT_CANCELLED;
+    }
+    console.error(`Render failed: ${error.message}`);
+    return EXIT_FAILED;
+  }
+}
+
+main().then(code => {
+  process.exitCode = code;
+});
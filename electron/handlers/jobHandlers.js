@@ -0,0 +1,63 @@
+const { cleanupTempFiles } = require("../utils/fileUtils");
+const { cancelQueuedJob } = require("../video/renderQueue");
+
+// Jobs currently running in the main process, keyed by job id
+const activeJobs = new Map();
+let jobCounter = 0;
+
+/**
+ * Runs a pipeline job that reports progress to the renderer and can be cancelled
+ * Exports go through the render queue instead; this is for jobs the renderer waits on (preview)
+ * @param {Object} event - IPC event of the request that started the job
+ * @param {Object} jobOptions - {kind, tempFiles}
+ *   kind - Job kind sent with progress events so the renderer can route them
+ *   tempFiles - Files to delete if the job is cancelled
+ * @param {Function} run - Receives {id, onProgress, signal} and returns a promise
+ * @returns {Promise<*>} Result of run, or null if the job was cancelled
+ */
+async function runJob(event, { kind, tempFiles = [] }, run) {
+  jobCounter++;
+  const job = {
+    id: `${kind}_${Date.now()}_${jobCounter}`,
+    controller: new AbortController(),
+    tempFiles
+  };
+  activeJobs.set(job.id, job);
+
+  const sender = event.sender;
+  const onProgress = (progress) => {
+    if (!sender.isDestroyed()) {
+      sender.send("job-progress", { jobId: job.id, kind, ...progress });
+    }
+  };
+
+  try {
+    return await run({ id: job.id, onProgress, signal: job.controller.signal });
+  } catch (error) {
+    if (job.controller.signal.aborted) {
+      cleanupTempFiles(job.tempFiles);
+      return null;
+    }
+    throw error;
+  } finally {
+    activeJobs.delete(job.id);
+  }
+}
+
+/**
+ * Cancel job handler: kills the job's ffmpeg process (preview or queued export)
+ * Temp files are removed by runJob once the process has exited
+ */
+async function handleCancelJob(_, jobId) {
+  const job = activeJobs.get(jobId);
+  if (!job) return cancelQueuedJob(jobId);
+
+  console.log("Cancelling job:", jobId);
+  job.controller.abort();
+  return true;
+}
+
+module.exports = {
+  runJob,
+  handleCancelJob
+};
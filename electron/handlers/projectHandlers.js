@@ -0,0 +1,65 @@
+const { dialog } = require("electron");
+const path = require("path");
+const { PROJECT_EXTENSION, writeProjectFile, readProjectFile } = require("../utils/projectUtils");
+
+/**
+ * Save project handler
+ * Prompts for a location unless the project was already saved as a project file
+ */
+async function handleSaveProject(_, project, projectPath = null) {
+  // Projects opened from older JSON files are saved as a new project file
+  let filePath = projectPath && projectPath.toLowerCase().endsWith(`.${PROJECT_EXTENSION}`) ? projectPath : null;
+
+  if (!filePath) {
+    const mainVideo = project.mainVideo ? project.mainVideo.replace(/^file:\/\//, "") : null;
+    const defaultPath = mainVideo
+      ? path.join(path.dirname(mainVideo), `${path.parse(mainVideo).name}.${PROJECT_EXTENSION}`)
+      : `project.${PROJECT_EXTENSION}`;
+
+    const result = await dialog.showSaveDialog({
+      title: "Save Project",
+      defaultPath,
+      filters: [{ name: "FrameNext Project", extensions: [PROJECT_EXTENSION] }]
+    });
+
+    if (result.canceled || !result.filePath) return null;
+    filePath = result.filePath;
+  }
+
+  if (!filePath.toLowerCase().endsWith(`.${PROJECT_EXTENSION}`)) {
+    filePath = `${filePath}.${PROJECT_EXTENSION}`;
+  }
+
+  writeProjectFile(filePath, project);
+  console.log("Project saved:", filePath);
+
+  return { projectPath: filePath };
+}
+
+/**
+ * Open project handler
+ */
+async function handleOpenProject() {
+  const result = await dialog.showOpenDialog({
+    properties: ["openFile"],
+    filters: [{ name: "FrameNext Project", extensions: [PROJECT_EXTENSION, "json"] }]
+  });
+
+  if (result.canceled || !result.filePaths || result.filePaths.length === 0) {
+    return null;
+  }
+
+  const projectPath = result.filePaths[0];
+  const project = readProjectFile(projectPath);
+  console.log("Project opened:", projectPath);
+
+  return {
+    projectPath,
+    project
+  };
+}
+
+module.exports = {
+  handleSaveProject,
+  handleOpenProject
+};
@@ -0,0 +1,42 @@
+const {
+  getQueueState,
+  retryJob,
+  removeJob,
+  resumeQueue
+} = require("../video/renderQueue");
+
+/**
+ * Get render queue handler
+ */
+async function handleGetQueue() {
+  return getQueueState();
+}
+
+/**
+ * Retry failed/cancelled job handler
+ */
+async function handleRetryJob(_, jobId) {
+  return retryJob(jobId);
+}
+
+/**
+ * Remove finished job handler
+ */
+async function handleRemoveJob(_, jobId) {
+  return removeJob(jobId);
+}
+
+/**
+ * Resume paused queue handler
+ */
+async function handleResumeQueue() {
+  resumeQueue();
+  return getQueueState();
+}
+
+module.exports = {
+  handleGetQueue,
+  handleRetryJob,
+  handleRemoveJob,
+  handleResumeQueue
+};
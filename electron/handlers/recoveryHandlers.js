@@ -0,0 +1,40 @@
+const {
+  writeRecoveryFile,
+  readRecoveryFile,
+  discardRecoveryFile
+} = require("../utils/recoveryUtils");
+
+/**
+ * Autosave handler: stores the in-progress edit for crash recovery
+ */
+async function handleAutosaveSession(_, session) {
+  try {
+    writeRecoveryFile(session);
+    return true;
+  } catch (error) {
+    console.error("Autosave error:", error);
+    return false;
+  }
+}
+
+/**
+ * Get recovery session handler
+ * Returns the autosaved edit if the last session did not exit cleanly
+ */
+async function handleGetRecoverySession() {
+  return readRecoveryFile();
+}
+
+/**
+ * Discard recovery session handler
+ */
+async function handleDiscardRecoverySession() {
+  discardRecoveryFile();
+  return true;
+}
+
+module.exports = {
+  handleAutosaveSession,
+  handleGetRecoverySession,
+  handleDiscardRecoverySession
+};
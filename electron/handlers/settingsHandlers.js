@@ -0,0 +1,26 @@
+const { getSettings, saveSettings } = require("../utils/settingsUtils");
+
+/**
+ * Get settings handler
+ */
+async function handleGetSettings() {
+  return getSettings();
+}
+
+/**
+ * Save settings handler
+ * Returns the stored settings (invalid values are replaced by the defaults)
+ */
+async function handleSaveSettings(_, changes) {
+  try {
+    return saveSettings(changes);
+  } catch (error) {
+    console.error("Error saving settings:", error);
+    return getSettings();
+  }
+}
+
+module.exports = {
+  handleGetSettings,
+  handleSaveSettings
+};
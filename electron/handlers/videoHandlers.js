@@ -5,7 +5,11 @@ const ffmpeg = require("fluent-ffmpeg");
 const { normalizeMainVideoPath } = require("../utils/pathUtils");
 const { prepareOutputPath } = require("../utils/fileUtils");
 const { processVideoPipeline } = require("../video/pipeline");
+const { validateFeatures, formatValidationErrors } = require("../video/schema");
+const { enqueueJob } = require("../video/renderQueue");
 const { getMainVideoPath } = require("./fileHandlers");
+const { runJob } = require("./jobHandlers");
+const { getSettings } = require("../utils/settingsUtils");
 
 /**
  * Trim video handler
@@ -61,10 +65,30 @@ async function handleTrimVideo(_, { start, end }) {
   });
 }
 
+/**
+ * Validates the features payload sent by the renderer
+ * @param {Object} features - Features object
+ * @returns {Object} {features, errors} from validateFeatures
+ */
+function checkFeatures(features) {
+  const result = validateFeatures(features);
+  if (result.errors.length > 0) {
+    console.log("Invalid features:\n" + formatValidationErrors(result.errors));
+  }
+  return result;
+}
+
 /**
  * Export video with all features
+ * The export is added to the render queue; the queued job is returned immediately
+ * Returns {validationErrors} instead if the features payload is invalid
  */
-async function handleExportVideo(_, features, mainVideoPathParam = null) {
+async function handleExportVideo(_, rawFeatures, mainVideoPathParam = null) {
+  const { features, errors } = checkFeatures(rawFeatures);
+  if (errors.length > 0) {
+    return { validationErrors: errors };
+  }
+
   // Get and normalize main video path first (needed for dialog default path)
   let mainVideo = mainVideoPathParam || getMainVideoPath();
   if (!mainVideo) {
@@ -113,14 +137,20 @@ async function handleExportVideo(_, features, mainVideoPathParam = null) {
   console.log("Export features received:", JSON.stringify(features, null, 2));
   console.log("Main video path:", mainVideo);
 
-  // Process through pipeline
-  return await processVideoPipeline(mainVideo, features, filePath, { isPreview: false });
+  // Queue the export (progress is pushed to the renderer, cancel-job stops it)
+  return enqueueJob({ mainVideo, features, outputPath: filePath });
 }
 
 /**
  * Generate preview with all features
+ * Returns {validationErrors} instead if the features payload is invalid
  */
-async function handleGeneratePreview(_, features, mainVideoPathParam = null) {
+async function handleGeneratePreview(event, rawFeatures, mainVideoPathParam = null) {
+  const { features, errors } = checkFeatures(rawFeatures);
+  if (errors.length > 0) {
+    return { validationErrors: errors };
+  }
+
   // Get main video path
   let mainVideo = mainVideoPathParam || getMainVideoPath();
   if (!mainVideo) {
@@ -158,7 +188,14 @@ async function handleGeneratePreview(_, features, mainVideoPathParam = null) {
   console.log("Preview features:", JSON.stringify(features, null, 2));
 
   // Process through pipeline with preview options
-  return await processVideoPipeline(mainVideo, features, previewFile, { isPreview: true });
+  return await runJob(event, { kind: "preview", tempFiles: [previewFile] }, ({ onProgress, signal }) =>
+    processVideoPipeline(mainVideo, features, previewFile, {
+      isPreview: true,
+      onProgress,
+      signal,
+      concurrency: getSettings().renderThreads || null
+    })
+  );
 }
 
 module.exports = {
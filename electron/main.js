@@ -8,7 +8,15 @@ ffmpeg.setFfmpegPath(ffmpegPath);
 
 // Import handlers
 const { handlePickVideo, handlePickAudio } = require("./handlers/fileHandlers");
+const { handleSaveProject, handleOpenProject } = require("./handlers/projectHandlers");
 const { handleTrimVideo, handleExportVideo, handleGeneratePreview } = require("./handlers/videoHandlers");
+const { handleCancelJob } = require("./handlers/jobHandlers");
+const { handleGetQueue, handleRetryJob, handleRemoveJob, handleResumeQueue } = require("./handlers/queueHandlers");
+const { handleAutosaveSession, handleGetRecoverySession, handleDiscardRecoverySession } = require("./handlers/recoveryHandlers");
+const { handleGetSettings, handleSaveSettings } = require("./handlers/settingsHandlers");
+const { initRenderQueue } = require("./video/renderQueue");
+const { initRecovery, markCleanExit } = require("./utils/recoveryUtils");
+const { initSettings } = require("./utils/settingsUtils");
 
 /**
  * Create main application window
@@ -26,15 +34,47 @@ function createWindow() {
   win.loadURL("http://localhost:5174");
 }
 
+/**
+ * Send a message to every open window
+ */
+function broadcast(channel, payload) {
+  BrowserWindow.getAllWindows().forEach(win => {
+    if (!win.isDestroyed()) {
+      win.webContents.send(channel, payload);
+    }
+  });
+}
+
 // Register IPC handlers
 ipcMain.handle("pick-video", handlePickVideo);
 ipcMain.handle("pick-audio", handlePickAudio);
+ipcMain.handle("save-project", handleSaveProject);
+ipcMain.handle("open-project", handleOpenProject);
 ipcMain.handle("trim-video", handleTrimVideo);
 ipcMain.handle("export-video", handleExportVideo);
 ipcMain.handle("generate-preview", handleGeneratePreview);
+ipcMain.handle("cancel-job", handleCancelJob);
+ipcMain.handle("get-queue", handleGetQueue);
+ipcMain.handle("retry-job", handleRetryJob);
+ipcMain.handle("remove-job", handleRemoveJob);
+ipcMain.handle("resume-queue", handleResumeQueue);
+ipcMain.handle("autosave-session", handleAutosaveSession);
+ipcMain.handle("get-recovery-session", handleGetRecoverySession);
+ipcMain.handle("discard-recovery-session", handleDiscardRecoverySession);
+ipcMain.handle("get-settings", handleGetSettings);
+ipcMain.handle("save-settings", handleSaveSettings);
 
 // App lifecycle
 app.whenReady().then(() => {
+  initRecovery(app.getPath("userData"));
+  initSettings(path.join(app.getPath("userData"), "settings.json"));
+
+  // Restore the render queue from the last session
+  initRenderQueue(path.join(app.getPath("userData"), "render-queue.json"), {
+    onChange: (state) => broadcast("queue-updated", state),
+    onProgress: (progress) => broadcast("job-progress", { ...progress, kind: "export" })
+  });
+
   createWindow();
 
   app.on("activate", () => {
@@ -44,6 +84,11 @@ app.whenReady().then(() => {
   });
 });
 
+// Only reached on a normal quit; after a crash the autosaved edit is offered on the next launch
+app.on("will-quit", () => {
+  markCleanExit();
+});
+
 app.on("window-all-closed", () => {
   if (process.platform !== "darwin") {
     app.quit();
@@ -3,10 +3,33 @@ const { contextBridge, ipcRenderer } = require("electron");
 contextBridge.exposeInMainWorld("api", {
   pickVideo: (isInsertVideo) => ipcRenderer.invoke("pick-video", isInsertVideo),
   pickAudio: () => ipcRenderer.invoke("pick-audio"),
+  saveProject: (project, projectPath) =>
+    ipcRenderer.invoke("save-project", project, projectPath),
+  openProject: () => ipcRenderer.invoke("open-project"),
   trimVideo: (start, end) =>
     ipcRenderer.invoke("trim-video", { start, end }),
   exportVideo: (features, mainVideoPath) =>
     ipcRenderer.invoke("export-video", features, mainVideoPath),
   generatePreview: (features, mainVideoPath) =>
-    ipcRenderer.invoke("generate-preview", features, mainVideoPath)
+    ipcRenderer.invoke("generate-preview", features, mainVideoPath),
+  cancelJob: (jobId) => ipcRenderer.invoke("cancel-job", jobId),
+  onJobProgress: (callback) => {
+    const listener = (_, progress) => callback(progress);
+    ipcRenderer.on("job-progress", listener);
+    return () => ipcRenderer.removeListener("job-progress", listener);
+  },
+  getQueue: () => ipcRenderer.invoke("get-queue"),
+  retryJob: (jobId) => ipcRenderer.invoke("retry-job", jobId),
+  removeJob: (jobId) => ipcRenderer.invoke("remove-job", jobId),
+  resumeQueue: () => ipcRenderer.invoke("resume-queue"),
+  onQueueUpdated: (callback) => {
+    const listener = (_, state) => callback(state);
+    ipcRenderer.on("queue-updated", listener);
+    return () => ipcRenderer.removeListener("queue-updated", listener);
+  },
+  autosaveSession: (session) => ipcRenderer.invoke("autosave-session", session),
+  getRecoverySession: () => ipcRenderer.invoke("get-recovery-session"),
+  discardRecoverySession: () => ipcRenderer.invoke("discard-recovery-session"),
+  getSettings: () => ipcRenderer.invoke("get-settings"),
+  saveSettings: (changes) => ipcRenderer.invoke("save-settings", changes)
 });
@@ -0,0 +1,31 @@
+/**
+ * Runs an async function over a list with at most `limit` calls in flight
+ * Every item is processed even when some fail, so errors can be reported together
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls (at least 1)
+ * @param {Function} fn - Receives (item, index) and returns a promise
+ * @param {Function} onSettled - Called with (result, index) as each call finishes
+ * @returns {Promise<Object[]>} Results in item order: {ok: true, value} or {ok: false, error}
+ */
+async function mapLimit(items, limit, fn, onSettled = () => {}) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { ok: true, value: await fn(items[index], index) };
+      } catch (error) {
+        results[index] = { ok: false, error };
+      }
+      onSettled(results[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(Math.floor(limit) || 1, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+module.exports = { mapLimit };
@@ -0,0 +1,236 @@
+const fs = require("fs");
+const path = require("path");
+const { ensureDirectoryExists } = require("./fileUtils");
+
+const PROJECT_VERSION = 1;
+const PROJECT_EXTENSION = "fnproj";
+
+/**
+ * Converts a features payload trim (one {start, end} clip or a segment list) to kept segments
+ * @param {Object|null} trim - Trim feature from the payload
+ * @returns {Object[]} Segments [{start, duration}]
+ */
+function trimToSegments(trim) {
+  if (!trim) return [];
+  if (Array.isArray(trim.segments)) {
+    return trim.segments.map(s => ({ start: s.start, duration: s.end - s.start }));
+  }
+  return typeof trim.start === 'number' && typeof trim.end === 'number'
+    ? [{ start: trim.start, duration: trim.end - trim.start }]
+    : [];
+}
+
+/**
+ * Migrations that upgrade a project from version n to n + 1
+ * Keyed by the version they upgrade from
+ */
+const MIGRATIONS = {
+  // Version 0: unversioned JSON holding a features payload (as sent to export-video) plus mainVideo
+  // Only the features stored differently in projects are converted; the rest is carried over as it is,
+  // so a feature added to both shapes needs no change here (only a default for payloads without it)
+  0: ({ trim, insert, audio, ...data }) => {
+    const merge = Array.isArray(data.merge) ? data.merge : [];
+    const inserts = Array.isArray(insert) ? insert : (insert ? [insert] : []);
+    return {
+      ...data,
+      version: 1,
+      mainVideo: data.mainVideo || null,
+      segments: trimToSegments(trim),
+      trimMode: trim && trim.mode ? trim.mode : "keep",
+      // The main video has a place in the merge order (first unless the payload marks it)
+      merge: (merge.length > 0 && !merge.some(v => v.main) ? [{ main: true }, ...merge] : merge).map(v => (v.main
+        ? { ...v, fit: v.fit || "letterbox" }
+        : { ...v, start: v.start || 0, end: v.end || null, fit: v.fit || "letterbox" })),
+      mergeOutput: data.mergeOutput || { target: "main", width: null, height: null, fps: null },
+      insert: inserts.map(v => ({
+        ...v,
+        position: v.position || 0,
+        seconds: v.seconds || 5,
+        sourceStart: v.sourceStart || 0,
+        mode: v.mode || "sequential"
+      })),
+      speed: typeof data.speed === 'number' ? data.speed : 1.0,
+      speedRanges: data.speedRanges || [],
+      speedAudio: data.speedAudio || { pitch: "preserve", muteExtreme: false },
+      speedVideo: data.speedVideo || { interpolation: "none" },
+      reverse: data.reverse || [],
+      freezeFrames: data.freezeFrames || [],
+      audio: audio ? {
+        path: typeof audio === 'string' ? audio : audio.path,
+        placement: audio.placement || "audio_priority",
+        startTime: audio.startTime || 0,
+        endTime: audio.endTime || 0,
+        mode: audio.mode || "replace",
+        backgroundAudioVolume: audio.backgroundAudioVolume !== undefined ? audio.backgroundAudioVolume : 0.5
+      } : null
+    };
+  }
+};
+
+/**
+ * Applies a path conversion to every media path in a project
+ * @param {Object} project - Project data (current version)
+ * @param {Function} convert - Receives a path, returns the converted path
+ * @returns {Object} Project with converted paths
+ */
+function mapMediaPaths(project, convert) {
+  const convertPath = (p) => (p ? convert(p) : p);
+  return {
+    ...project,
+    mainVideo: convertPath(project.mainVideo),
+    merge: (project.merge || []).map(v => (v.main ? v : { ...v, path: convertPath(v.path) })),
+    insert: (project.insert || []).map(v => ({ ...v, video: convertPath(v.video) })),
+    audio: project.audio ? { ...project.audio, path: convertPath(project.audio.path) } : null
+  };
+}
+
+/**
+ * Converts an absolute media path to a path relative to the project folder
+ * @param {string} mediaPath - Absolute path (may have file:// prefix)
+ * @param {string} projectDir - Folder holding the project file
+ * @returns {string} Relative path with forward slashes
+ */
+function toProjectPath(mediaPath, projectDir) {
+  let absolute = mediaPath.replace(/^file:\/\//, "");
+  if (process.platform === 'win32') {
+    absolute = absolute.replace(/^\/+/, "");
+  }
+  const relative = path.relative(projectDir, absolute);
+  // Different drive on Windows: keep the absolute path
+  if (path.isAbsolute(relative)) return relative;
+  return relative.split(path.sep).join("/");
+}
+
+/**
+ * Resolves a media path stored in a project file
+ * @param {string} storedPath - Path from the project file
+ * @param {string} projectDir - Folder holding the project file
+ * @returns {string} Absolute path
+ */
+function fromProjectPath(storedPath, projectDir) {
+  // Features payloads carry file:// URLs from the renderer
+  const mediaPath = storedPath.replace(/^file:\/\//, "");
+  if (path.isAbsolute(mediaPath)) return mediaPath;
+  return path.resolve(projectDir, mediaPath);
+}
+
+/**
+ * Upgrades project data to the current version
+ * @param {Object} data - Parsed project file
+ * @returns {Object} Project data at PROJECT_VERSION
+ * @throws {Error} If the project was written by a newer version
+ */
+function migrateProject(data) {
+  let project = data;
+  let version = typeof project.version === 'number' ? project.version : 0;
+
+  if (version > PROJECT_VERSION) {
+    throw new Error(`Project version ${version} is newer than this app supports (${PROJECT_VERSION})`);
+  }
+
+  while (version < PROJECT_VERSION) {
+    console.log(`Migrating project from version ${version} to ${version + 1}`);
+    project = MIGRATIONS[version](project);
+    version = project.version;
+  }
+  return project;
+}
+
+/**
+ * Lists the features of a features payload that are lost when it is loaded as a project
+ * @param {Object} payload - Unversioned features payload (plus mainVideo)
+ * @returns {string[]} Names of the features set in the payload but missing from projectToFeatures
+ */
+function findDroppedFeatures(payload) {
+  const isUnset = (key, value) => (
+    value === undefined || value === null || (Array.isArray(value) && value.length === 0) || (key === "speed" && value === 1)
+  );
+  const features = projectToFeatures(migrateProject(payload));
+  return Object.keys(payload)
+    .filter(key => key !== "mainVideo" && key !== "version")
+    .filter(key => !isUnset(key, payload[key]) && isUnset(key, features[key]));
+}
+
+/**
+ * Writes a project file, storing media paths relative to it
+ * @param {string} projectPath - Project file path
+ * @param {Object} project - Project data with absolute media paths
+ * @returns {string} Project file path
+ */
+function writeProjectFile(projectPath, project) {
+  const projectDir = path.dirname(projectPath);
+  ensureDirectoryExists(projectDir);
+
+  const data = mapMediaPaths({ ...project, version: PROJECT_VERSION }, p => toProjectPath(p, projectDir));
+  fs.writeFileSync(projectPath, JSON.stringify(data, null, 2), "utf8");
+  return projectPath;
+}
+
+/**
+ * Reads a project file, migrating it and resolving media paths
+ * @param {string} projectPath - Project file path
+ * @returns {Object} Project data at PROJECT_VERSION with absolute media paths
+ * @throws {Error} If the file cannot be read, or a features payload holds features that would be lost (see findDroppedFeatures)
+ */
+function readProjectFile(projectPath) {
+  const projectDir = path.dirname(projectPath);
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(projectPath, "utf8"));
+  } catch (e) {
+    throw new Error(`Cannot read project file ${projectPath}: ${e.message}`);
+  }
+
+  // A features payload must come through whole, or the render would silently leave parts of the edit out
+  if (typeof data.version !== 'number') {
+    const dropped = findDroppedFeatures(data);
+    if (dropped.length > 0) {
+      throw new Error(`Cannot load ${dropped.join(", ")} from features file ${projectPath}`);
+    }
+  }
+
+  return mapMediaPaths(migrateProject(data), p => fromProjectPath(p, projectDir));
+}
+
+/**
+ * Builds the features payload the pipeline takes (as sent by the renderer) from project data
+ * Media durations are left out; the pipeline probes them
+ * @param {Object} project - Project data at PROJECT_VERSION
+ * @returns {Object} Features object with trim, merge, mergeOutput, insert, speed, speedRanges, speedAudio, speedVideo, reverse, freezeFrames, audio
+ */
+function projectToFeatures(project) {
+  const audio = project.audio;
+  return {
+    trim: project.segments && project.segments.length > 0
+      ? { mode: project.trimMode || "keep", segments: project.segments.map(s => ({ start: s.start, end: s.start + s.duration })) }
+      : null,
+    merge: project.merge && project.merge.length > 0 ? project.merge : null,
+    mergeOutput: project.merge && project.merge.length > 0 ? project.mergeOutput : null,
+    insert: project.insert && project.insert.length > 0 ? project.insert.map(v => ({ ...v })) : null,
+    speed: project.speed && project.speed !== 1.0 ? project.speed : null,
+    speedRanges: project.speedRanges && project.speedRanges.length > 0 ? project.speedRanges.map(r => ({ ...r })) : null,
+    speedAudio: project.speedAudio || null,
+    speedVideo: project.speedVideo || null,
+    reverse: project.reverse && project.reverse.length > 0 ? project.reverse.map(r => ({ ...r })) : null,
+    freezeFrames: project.freezeFrames && project.freezeFrames.length > 0 ? project.freezeFrames.map(f => ({ ...f })) : null,
+    audio: audio ? {
+      path: audio.path,
+      placement: audio.placement,
+      priority: audio.placement === "audio_priority" ? "audio" : (audio.placement === "video_priority" ? "video" : null),
+      startTime: audio.placement === "custom" ? audio.startTime : 0,
+      endTime: audio.placement === "custom" ? audio.endTime : null,
+      mode: audio.mode,
+      backgroundAudioVolume: audio.backgroundAudioVolume
+    } : null
+  };
+}
+
+module.exports = {
+  PROJECT_VERSION,
+  PROJECT_EXTENSION,
+  migrateProject,
+  projectToFeatures,
+  writeProjectFile,
+  readProjectFile
+};
@@ -0,0 +1,87 @@
+const fs = require("fs");
+const path = require("path");
+const { ensureDirectoryExists } = require("./fileUtils");
+const { PROJECT_VERSION, migrateProject } = require("./projectUtils");
+
+let recoveryPath = null;
+let sessionPath = null;
+
+/**
+ * Sets the folder holding the recovery file and the clean-exit marker
+ * @param {string} dir - The app's userData folder
+ */
+function initRecovery(dir) {
+  recoveryPath = path.join(dir, "recovery.json");
+  sessionPath = path.join(dir, "session.json");
+}
+
+/**
+ * Writes the in-progress edit to the recovery file
+ * @param {Object} session - {project, activeOption, projectPath}
+ */
+function writeRecoveryFile({ project, activeOption, projectPath }) {
+  if (!recoveryPath) return;
+  ensureDirectoryExists(path.dirname(recoveryPath));
+  const data = {
+    savedAt: new Date().toISOString(),
+    project: { ...project, version: PROJECT_VERSION },
+    activeOption: activeOption || null,
+    projectPath: projectPath || null
+  };
+  fs.writeFileSync(recoveryPath, JSON.stringify(data, null, 2), "utf8");
+}
+
+/**
+ * Reads the recovery file if it was written after the last clean exit
+ * @returns {Object|null} {savedAt, project, activeOption, projectPath}, or null if there is nothing to recover
+ */
+function readRecoveryFile() {
+  if (!recoveryPath || !fs.existsSync(recoveryPath)) return null;
+
+  try {
+    const data = JSON.parse(fs.readFileSync(recoveryPath, "utf8"));
+    const savedAt = new Date(data.savedAt).getTime();
+
+    let lastCleanExit = 0;
+    if (fs.existsSync(sessionPath)) {
+      const session = JSON.parse(fs.readFileSync(sessionPath, "utf8"));
+      lastCleanExit = new Date(session.lastCleanExit).getTime() || 0;
+    }
+    if (!savedAt || savedAt <= lastCleanExit) return null;
+
+    return { ...data, project: migrateProject(data.project) };
+  } catch (e) {
+    console.error("Error reading recovery file:", e);
+    return null;
+  }
+}
+
+/**
+ * Deletes the recovery file
+ */
+function discardRecoveryFile() {
+  if (recoveryPath && fs.existsSync(recoveryPath)) {
+    fs.unlinkSync(recoveryPath);
+  }
+}
+
+/**
+ * Records that the app is closing normally, so the recovery file is not offered on the next launch
+ */
+function markCleanExit() {
+  if (!sessionPath) return;
+  try {
+    ensureDirectoryExists(path.dirname(sessionPath));
+    fs.writeFileSync(sessionPath, JSON.stringify({ lastCleanExit: new Date().toISOString() }, null, 2), "utf8");
+  } catch (e) {
+    console.error("Error saving session state:", e);
+  }
+}
+
+module.exports = {
+  initRecovery,
+  writeRecoveryFile,
+  readRecoveryFile,
+  discardRecoveryFile,
+  markCleanExit
+};
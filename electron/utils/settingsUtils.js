@@ -0,0 +1,68 @@
+const fs = require("fs");
+const path = require("path");
+const { ensureDirectoryExists } = require("./fileUtils");
+
+// renderThreads: threads the filtergraph runs on and merge clips probed at once (0 = one per CPU core)
+const SETTINGS_DEFAULTS = { renderThreads: 0 };
+const MAX_RENDER_THREADS = 64;
+
+let settingsPath = null;
+let settings = { ...SETTINGS_DEFAULTS };
+
+/**
+ * Keeps the known settings with valid values, falling back to the defaults
+ * @param {Object} data - Settings read from disk or sent by the renderer
+ * @returns {Object} Normalized settings
+ */
+function normalizeSettings(data) {
+  const threads = Number(data && data.renderThreads);
+  return {
+    renderThreads: Number.isInteger(threads) && threads >= 0 ? Math.min(threads, MAX_RENDER_THREADS) : SETTINGS_DEFAULTS.renderThreads
+  };
+}
+
+/**
+ * Loads the app settings
+ * @param {string} filePath - Path of the settings file (in the app's userData folder)
+ */
+function initSettings(filePath) {
+  settingsPath = filePath;
+  settings = { ...SETTINGS_DEFAULTS };
+  try {
+    if (fs.existsSync(settingsPath)) {
+      settings = normalizeSettings(JSON.parse(fs.readFileSync(settingsPath, "utf8")));
+    }
+  } catch (e) {
+    console.error("Error loading settings:", e);
+  }
+}
+
+/**
+ * Returns the current app settings
+ * @returns {Object} {renderThreads}
+ */
+function getSettings() {
+  return { ...settings };
+}
+
+/**
+ * Updates and stores the app settings
+ * @param {Object} changes - Settings to change
+ * @returns {Object} The settings after the change
+ */
+function saveSettings(changes) {
+  settings = normalizeSettings({ ...settings, ...changes });
+  if (settingsPath) {
+    ensureDirectoryExists(path.dirname(settingsPath));
+    fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2), "utf8");
+  }
+  return getSettings();
+}
+
+module.exports = {
+  SETTINGS_DEFAULTS,
+  MAX_RENDER_THREADS,
+  initSettings,
+  getSettings,
+  saveSettings
+};
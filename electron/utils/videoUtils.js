@@ -14,6 +14,18 @@ function getVideoMetadata(videoPath) {
   });
 }
 
+/**
+ * Gets video metadata, reusing an earlier probe of the same file within a job
+ * @param {Map|null} cache - Probes by path (as promises), shared by the steps of one job; null to always probe
+ * @param {string} videoPath - Path to video file
+ * @returns {Promise<Object>} Video metadata
+ */
+function getCachedVideoMetadata(cache, videoPath) {
+  if (!cache) return getVideoMetadata(videoPath);
+  if (!cache.has(videoPath)) cache.set(videoPath, getVideoMetadata(videoPath));
+  return cache.get(videoPath);
+}
+
 /**
  * Detects if video has audio stream
  * @param {Object} metadata - Video metadata from ffprobe
@@ -79,11 +91,42 @@ function getVideoProperties(metadata) {
   };
 }
 
+/**
+ * Gets the codec parameters that must match for files to be joined without re-encoding
+ * @param {Object} metadata - Video metadata from ffprobe
+ * @returns {Object} {videoCodec, audioCodec, video, audio} - Codec names and parameter strings
+ *   (audio values are null when there is no audio stream)
+ */
+function getStreamSignature(metadata) {
+  const streams = metadata.streams || [];
+  const video = streams.find(s => s.codec_type === 'video') || {};
+  const audio = streams.find(s => s.codec_type === 'audio');
+  return {
+    videoCodec: video.codec_name || null,
+    audioCodec: audio ? audio.codec_name : null,
+    video: [video.codec_name, video.profile, video.level, video.width, video.height, video.pix_fmt, video.r_frame_rate].join("/"),
+    audio: audio ? [audio.codec_name, audio.profile, audio.sample_rate, audio.channels].join("/") : null
+  };
+}
+
+/**
+ * Converts an FFmpeg timemark (HH:MM:SS.ms) to seconds
+ * @param {string} timemark - Timemark from fluent-ffmpeg progress events
+ * @returns {number} Seconds (0 if unparseable)
+ */
+function timemarkToSeconds(timemark) {
+  if (!timemark || typeof timemark !== 'string') return 0;
+  return timemark.split(':').reduce((total, part) => total * 60 + (parseFloat(part) || 0), 0);
+}
+
 module.exports = {
   getVideoMetadata,
+  getCachedVideoMetadata,
   hasAudioStream,
   getFrameRate,
-  getVideoProperties
+  getVideoProperties,
+  getStreamSignature,
+  timemarkToSeconds
 };
 
 
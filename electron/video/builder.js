@@ -0,0 +1,246 @@
+const fs = require("fs");
+const { createGraph, addSource, probeSource, registerSource } = require("./graph");
+const { invertSegments, segmentsFragment } = require("./trim");
+const { insertClipsFragment } = require("./insert");
+const { mergeTargetProps, mergeFragment } = require("./merge");
+const { speedFragment, speedRangesFragment } = require("./speed");
+const { planReverse, fitsInGraph, reverseFragment, reverseChunkFragment, joinChunksFragment } = require("./reverse");
+const { replaceAudioFragment, mixAudioFragment } = require("./audio");
+const { normalizePath } = require("../utils/pathUtils");
+const { mapLimit } = require("../utils/asyncUtils");
+
+/**
+ * Probes the merge clips concurrently and registers them in play order
+ * Missing files are skipped; clips that cannot be read fail the build together
+ * @param {Object} graph - Graph state
+ * @param {Object[]} merge - Normalized merge list from validateMerge
+ * @param {Object} options - {concurrency, onProgress, metadataCache}
+ *   concurrency - Maximum number of clips probed at once
+ *   onProgress - Called with {step: 'probe', percent, clips: {done, total}} as each clip is probed
+ *   metadataCache - Probes already made for this job (by planStreamCopy), see getCachedVideoMetadata
+ * @returns {Promise<Object[]>} Merge clips for mergeFragment
+ * @throws {Error} Listing every clip that could not be read (also set as error.clipErrors [{field, path, message}])
+ */
+async function probeMergeClips(graph, merge, { concurrency = 1, onProgress, metadataCache = null } = {}) {
+  const entries = merge
+    .map((v, i) => ({ ...v, field: `merge[${i}]`, clipPath: v.main ? null : normalizePath(v.path) }))
+    .filter(v => v.main || fs.existsSync(v.clipPath));
+  const total = entries.filter(v => !v.main).length;
+
+  let done = 0;
+  const results = await mapLimit(entries, concurrency, v => (v.main ? null : probeSource(v.clipPath, metadataCache)), (_, i) => {
+    if (entries[i].main) return;
+    done++;
+    if (onProgress) onProgress({ step: 'probe', percent: (done / total) * 100, fps: 0, eta: null, clips: { done, total } });
+  });
+
+  const clipErrors = results
+    .map((result, i) => (result.ok ? null : { field: entries[i].field, path: entries[i].clipPath, message: result.error.message }))
+    .filter(Boolean);
+  if (clipErrors.length > 0) {
+    const error = new Error(`Cannot read ${clipErrors.length} merge clip(s):\n${clipErrors.map(e => `${e.field} (${e.path}): ${e.message}`).join("\n")}`);
+    error.clipErrors = clipErrors;
+    throw error;
+  }
+
+  return entries.map((v, i) => (v.main
+    ? { main: true, fit: v.fit || "letterbox", transition: v.transition || null }
+    : {
+      source: registerSource(graph, results[i].value),
+      start: v.start || 0,
+      end: v.end || null,
+      fit: v.fit || "letterbox",
+      transition: v.transition || null
+    }));
+}
+
+/**
+ * Applies the speed ranges and then the global speed
+ * @param {Object} graph - Graph state
+ * @param {Object} stream - Edited stream (after reverse effects)
+ * @param {Object} features - Normalized features
+ * @param {Object} options - {isPreview}, see buildEditGraph
+ * @returns {Object} Resulting stream
+ */
+function speedEffectsFragment(graph, stream, features, options) {
+  // Motion interpolation is too slow for previews, which blend frames instead
+  const speedVideo = features.speedVideo && options.isPreview && features.speedVideo.interpolation === "motion"
+    ? { ...features.speedVideo, interpolation: "blend" }
+    : features.speedVideo || {};
+  if (Array.isArray(features.speedRanges) && features.speedRanges.length > 0) {
+    stream = speedRangesFragment(graph, stream, features.speedRanges, features.speedAudio || {}, speedVideo);
+  }
+  const hasSpeed = features.speed && features.speed !== 1.0;
+  if (hasSpeed) {
+    stream = speedFragment(graph, stream, Number(features.speed), features.speedAudio || {}, speedVideo);
+  }
+  return stream;
+}
+
+/**
+ * Compiles the whole features object into a single filtergraph
+ * Every clip is normalized inside this one graph, so clips are not processed as separate jobs;
+ * ffmpeg runs the graph on several threads instead (-filter_complex_threads, see renderGraph)
+ * Expects features normalized by validateFeatures
+ * Order: trim -> insert -> merge -> audio -> reverse -> speed ranges -> speed, so effects apply to the merged result
+ * @param {string} mainVideo - Main video path
+ * @param {Object} features - Features object with trim, merge, mergeOutput, insert, speed, speedRanges, speedAudio, speedVideo, reverse, freezeFrames, audio
+ * @param {Object} options - {concurrency, onProgress, metadataCache, isPreview}, see probeMergeClips
+ *   isPreview - Use the cheaper frame interpolation
+ * @returns {Promise<Object>} {graph, stream, effectsPass} where stream holds the final [v]/[a] labels
+ *   effectsPass - True when the graph stops before the effects (reverse ranges too long to reverse in one graph):
+ *                 it is rendered to a file and planEffectsPass/buildEffectsGraph finish the edit from there
+ *   clipEnds - Time each merge clip is rendered by in stream, for per-clip progress (see runCommand)
+ *              Scaled to the length of the edit, so only approximate where speed ranges or reverse effects retime it
+ */
+async function buildEditGraph(mainVideo, features, options = {}) {
+  const graph = createGraph();
+  const main = await addSource(graph, mainVideo, options.metadataCache);
+
+  // Merge clips are probed up front: the merge output setting can size the whole edit after them
+  const mergeClips = await probeMergeClips(graph, features.merge || [], options);
+  const hasMerge = mergeClips.some(clip => !clip.main);
+  const props = hasMerge
+    ? mergeTargetProps(main, mergeClips.filter(clip => !clip.main).map(clip => clip.source), features.mergeOutput)
+    : main.props;
+  // The main entry's fit only changes anything when the merge output differs from the main video
+  const mainEntry = mergeClips.find(clip => clip.main);
+  const mainFit = hasMerge && mainEntry ? mainEntry.fit : "letterbox";
+
+  // STEP 1: Keep the trim segments of the base clip in order (whole video if there are none)
+  // In cut mode the segments are removed instead and the gaps closed (ripple delete)
+  const ranges = (features.trim && features.trim.segments ? features.trim.segments : [])
+    .map(segment => ({
+      start: Math.min(segment.start, main.duration),
+      end: Math.min(segment.end, main.duration)
+    }))
+    .filter(segment => segment.end > segment.start);
+  const isCut = features.trim && features.trim.mode === "cut";
+  const segments = isCut ? invertSegments(ranges, main.duration) : ranges;
+  if (segments.length === 0) {
+    if (isCut) {
+      throw new Error("The cut ranges remove the whole video");
+    }
+    segments.push({ start: 0, end: main.duration });
+  }
+  let stream = segmentsFragment(graph, main, segments, props, mainFit);
+
+  // STEP 2: Insert videos and freeze frames if present (positions are relative to the assembled segments)
+  const hasInsert = Array.isArray(features.insert) && features.insert.length > 0;
+  const hasFreeze = Array.isArray(features.freezeFrames) && features.freezeFrames.length > 0;
+  if (hasInsert || hasFreeze) {
+    // The global speed applies after this step, so holds are stretched by it to last their duration in the output
+    const speed = features.speed ? Number(features.speed) : 1.0;
+    const inserts = (features.freezeFrames || []).map(freeze => ({
+      freeze: true,
+      position: freeze.position,
+      duration: freeze.duration * speed,
+      audio: freeze.audio
+    }));
+    for (const insert of features.insert || []) {
+      inserts.push({
+        source: await addSource(graph, normalizePath(insert.video)),
+        position: insert.position || 0,
+        duration: insert.seconds || 5,
+        sourceStart: insert.sourceStart || 0,
+        mode: insert.mode || 'sequential', // 'sequential', 'overlapping' or 'pip'
+        pip: insert.pip,
+        transitionIn: insert.transitionIn || null,
+        transitionOut: insert.transitionOut || null
+      });
+    }
+    stream = insertClipsFragment(graph, stream, inserts, props);
+  }
+
+  // STEP 3: Merge additional videos around the trimmed/inserted main video (after it unless placed elsewhere)
+  let clipEnds = [];
+  if (hasMerge) {
+    ({ stream, clipEnds } = mergeFragment(graph, stream, mergeClips, props));
+  }
+  const mergedDuration = stream.duration;
+
+  // STEP 4: Replace or mix audio over the entire video (trimmed + merged)
+  // Handle both old format (string) and new format (object with path property)
+  const hasAudio = features.audio && (
+    typeof features.audio === 'string' ||
+    (typeof features.audio === 'object' && features.audio.path)
+  );
+  if (hasAudio) {
+    const audioPath = normalizePath(typeof features.audio === 'string' ? features.audio : features.audio.path);
+    const audioOptions = typeof features.audio === 'object' ? {
+      trimStart: features.audio.trimStart,
+      trimEnd: features.audio.trimEnd,
+      placement: features.audio.placement,
+      priority: features.audio.priority,
+      startTime: features.audio.startTime,
+      endTime: features.audio.endTime,
+      videoDuration: features.audio.videoDuration,
+      audioDuration: features.audio.audioDuration,
+      mode: features.audio.mode, // "replace", "mix_inserted_main", "mix_video_main"
+      backgroundAudioVolume: features.audio.backgroundAudioVolume
+    } : {};
+    const track = await addSource(graph, audioPath);
+
+    const audioMode = audioOptions.mode || "replace";
+    const useMixing = audioMode === "mix_inserted_main" || audioMode === "mix_video_main";
+    console.log("Audio mode detected:", audioMode, "useMixing:", useMixing);
+
+    if (useMixing) {
+      stream = mixAudioFragment(graph, stream, track, {
+        ...audioOptions,
+        mainAudioIsVideo: audioMode === "mix_video_main",
+        mainAudioVolume: 1.0,
+        backgroundAudioVolume: audioOptions.backgroundAudioVolume !== undefined ? audioOptions.backgroundAudioVolume : 0.5
+      });
+    } else {
+      stream = replaceAudioFragment(graph, stream, track, audioOptions);
+    }
+  }
+
+  // STEP 5: Apply speed last so it retimes video and (replaced/mixed) audio together
+  // Reverse effects and then speed ranges are placed on the edited timeline; the global speed applies to the result
+  if (Array.isArray(features.reverse) && features.reverse.length > 0) {
+    if (!fitsInGraph(stream.duration, features.reverse)) {
+      return { graph, stream, effectsPass: true, clipEnds };
+    }
+    stream = reverseFragment(graph, stream, features.reverse);
+  }
+  stream = speedEffectsFragment(graph, stream, features, options);
+
+  const scale = mergedDuration > 0 ? stream.duration / mergedDuration : 1;
+  return { graph, stream, effectsPass: false, clipEnds: clipEnds.map(end => end * scale) };
+}
+
+/**
+ * Plans the effects of an edit whose first pass was rendered to a file (see buildEditGraph's effectsPass)
+ * @param {string} filePath - File holding the edit up to the effects
+ * @param {Object} features - Normalized features, as passed to buildEditGraph
+ * @returns {Promise<Object>} {source, parts, chunks}
+ *   chunks - [{part, graph, stream}] one graph per reversed chunk; each is rendered to a file set as part.file
+ *            before buildEffectsGraph
+ */
+async function planEffectsPass(filePath, features) {
+  const source = await probeSource(filePath);
+  const parts = planReverse(source.duration, features.reverse);
+  const chunks = parts.filter(part => part.reverse).map(part => {
+    const graph = createGraph();
+    return { part, graph, stream: reverseChunkFragment(graph, source, part) };
+  });
+  return { source, parts, chunks };
+}
+
+/**
+ * Compiles the rest of the edit once the reversed chunks of planEffectsPass are rendered
+ * @param {Object} pass - Result of planEffectsPass
+ * @param {Object} features - Normalized features, as passed to buildEditGraph
+ * @param {Object} options - {isPreview}, see buildEditGraph
+ * @returns {Object} {graph, stream} where stream holds the final [v]/[a] labels
+ */
+function buildEffectsGraph(pass, features, options = {}) {
+  const graph = createGraph();
+  let stream = joinChunksFragment(graph, pass.source, pass.parts);
+  stream = speedEffectsFragment(graph, stream, features, options);
+  return { graph, stream };
+}
+
+module.exports = { buildEditGraph, planEffectsPass, buildEffectsGraph };
@@ -0,0 +1,47 @@
+const { nextLabel, addFilter, silence, splitPad, cutPad, concatStreams } = require("./graph");
+
+/**
+ * Holds one frame of a stream for a while
+ * @param {Object} graph - Graph state
+ * @param {Object} base - Base stream
+ * @param {Object} options - {position, duration, audio}
+ *   position - Time of the held frame in seconds, relative to the base stream
+ *   duration - How long the frame is held in seconds
+ *   audio - 'silent' (the hold is added to the timeline with silence under it) or
+ *           'continue' (the audio plays on under the hold and the video picks up where it is; duration unchanged)
+ * @returns {Object} Resulting stream
+ */
+function freezeFragment(graph, base, options) {
+  const isContinue = options.audio === "continue";
+  // The held frame has to exist, so the last usable position is one frame before the end
+  const position = Math.max(0, Math.min(options.position, base.duration - 1 / base.fps));
+  const holdDuration = isContinue ? Math.min(options.duration, base.duration - position) : options.duration;
+  const frames = Math.max(1, Math.round(holdDuration * base.fps));
+  // Continue: the hold replaces the video under it instead of pushing it back
+  const resumeAt = isContinue ? position + holdDuration : position;
+  const hasBefore = position > 0;
+  const hasAfter = base.duration - resumeAt > 0.01;
+
+  // The video is cut around the hold and joined in order, so no branch waits on frames from later in the stream
+  const [capture, ...copies] = splitPad(graph, base.v, 1 + Number(hasBefore) + Number(hasAfter), "v");
+  const held = nextLabel(graph, "vfrz");
+  addFilter(graph, `[${capture}]trim=start=${position},setpts=PTS-STARTPTS,trim=end_frame=1,loop=loop=${frames - 1}:size=1:start=0,setpts=N/(${base.fps}*TB)[${held}]`);
+  const before = hasBefore ? cutPad(graph, copies.shift(), 0, position, "v") : null;
+  const after = hasAfter ? cutPad(graph, copies.shift(), resumeAt, null, "v") : null;
+
+  if (isContinue) {
+    const pads = [before, held, after].filter(Boolean);
+    const v = nextLabel(graph, "v");
+    addFilter(graph, `${pads.map(pad => `[${pad}]`).join("")}concat=n=${pads.length}:v=1:a=0[${v}]`);
+    return { ...base, v };
+  }
+
+  const audio = splitPad(graph, base.a, Number(hasBefore) + Number(hasAfter), "a");
+  const parts = [];
+  if (hasBefore) parts.push({ ...base, v: before, a: cutPad(graph, audio.shift(), 0, position, "a"), duration: position });
+  parts.push({ ...base, v: held, a: silence(graph, holdDuration), duration: holdDuration });
+  if (hasAfter) parts.push({ ...base, v: after, a: cutPad(graph, audio.shift(), position, null, "a"), duration: base.duration - position });
+  return concatStreams(graph, parts);
+}
+
+module.exports = { freezeFragment };
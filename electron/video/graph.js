@@ -0,0 +1,297 @@
+const { getCachedVideoMetadata, hasAudioStream, getVideoProperties } = require("../utils/videoUtils");
+
+// Every audio pad in the graph is conformed to this so concat/amix never see mismatched formats
+const AUDIO_FORMAT = "aformat=sample_rates=44100:channel_layouts=stereo";
+
+/**
+ * Creates an empty filtergraph that fragments append to
+ * @returns {Object} Graph state {inputs, filters, labelCount}
+ */
+function createGraph() {
+  return {
+    inputs: [],
+    filters: [],
+    labelCount: 0
+  };
+}
+
+/**
+ * Registers an input file on the graph
+ * @param {Object} graph - Graph state
+ * @param {string} filePath - Input file path
+ * @param {string[]} inputOptions - FFmpeg input options for this file
+ * @returns {number} Input index used in [n:v]/[n:a] pads
+ */
+function addInput(graph, filePath, inputOptions = []) {
+  graph.inputs.push({ path: filePath, options: inputOptions });
+  return graph.inputs.length - 1;
+}
+
+/**
+ * Probes a media file without registering it (see registerSource)
+ * @param {string} filePath - Media file path
+ * @param {Map|null} metadataCache - Probes already made for this job, see getCachedVideoMetadata
+ * @returns {Promise<Object>} Probed source {path, duration, hasAudio, props}
+ */
+async function probeSource(filePath, metadataCache = null) {
+  const meta = await getCachedVideoMetadata(metadataCache, filePath);
+  return {
+    path: filePath,
+    duration: Number(meta.format.duration) || 0,
+    hasAudio: hasAudioStream(meta),
+    props: getVideoProperties(meta)
+  };
+}
+
+/**
+ * Registers a probed source as a graph input
+ * @param {Object} graph - Graph state
+ * @param {Object} probed - Result of probeSource
+ * @returns {Object} Source {index, path, duration, hasAudio, props}
+ */
+function registerSource(graph, probed) {
+  return { index: addInput(graph, probed.path), ...probed };
+}
+
+/**
+ * Probes a media file and registers it as a graph input
+ * @param {Object} graph - Graph state
+ * @param {string} filePath - Media file path
+ * @param {Map|null} metadataCache - Probes already made for this job, see getCachedVideoMetadata
+ * @returns {Promise<Object>} Source {index, path, duration, hasAudio, props}
+ */
+async function addSource(graph, filePath, metadataCache = null) {
+  return registerSource(graph, await probeSource(filePath, metadataCache));
+}
+
+/**
+ * Returns a new unique pad label
+ * @param {Object} graph - Graph state
+ * @param {string} prefix - Label prefix for readability in logs
+ * @returns {string} Label without brackets
+ */
+function nextLabel(graph, prefix) {
+  const label = `${prefix}${graph.labelCount}`;
+  graph.labelCount++;
+  return label;
+}
+
+/**
+ * Appends a filter chain to the graph
+ * @param {Object} graph - Graph state
+ * @param {string} filter - Filter chain with input/output pads
+ */
+function addFilter(graph, filter) {
+  graph.filters.push(filter);
+}
+
+// Blur applied to the enlarged copy behind a "blur" fitted frame
+const BLUR_FILL = "boxblur=20:2";
+
+/**
+ * Builds the filter chain that conforms video to target properties
+ * @param {Object} props - Target properties {width, height, fps}
+ * @param {string} fit - 'letterbox' (fit inside, black bars) or 'crop' (fill, edges cut off)
+ * @returns {string} Filter chain (no pads)
+ */
+function conformVideo(props, fit = "letterbox") {
+  const size = `${props.width}:${props.height}`;
+  const fitted = fit === "crop"
+    ? `scale=${size}:force_original_aspect_ratio=increase,crop=${size}`
+    : `scale=${size}:force_original_aspect_ratio=decrease,pad=${size}:-1:-1:color=black`;
+  return `fps=${props.fps},${fitted},setsar=1`;
+}
+
+/**
+ * Conforms a video pad to target properties
+ * Besides the conformVideo fits, 'blur' fits the frame inside and fills the bars with a blurred, enlarged copy
+ * @param {Object} graph - Graph state
+ * @param {string} label - Video pad
+ * @param {Object} props - Target properties {width, height, fps}
+ * @param {string} fit - 'letterbox', 'crop' or 'blur'
+ * @returns {string} Conformed video label
+ */
+function fitVideo(graph, label, props, fit = "letterbox") {
+  const out = nextLabel(graph, "v");
+  if (fit !== "blur") {
+    addFilter(graph, `[${label}]${conformVideo(props, fit)}[${out}]`);
+    return out;
+  }
+
+  const size = `${props.width}:${props.height}`;
+  const [bg, fg] = [nextLabel(graph, "bg"), nextLabel(graph, "fg")];
+  addFilter(graph, `[${label}]fps=${props.fps},split[${bg}][${fg}]`);
+  const blurred = nextLabel(graph, "bg");
+  addFilter(graph, `[${bg}]scale=${size}:force_original_aspect_ratio=increase,crop=${size},${BLUR_FILL}[${blurred}]`);
+  const framed = nextLabel(graph, "fg");
+  addFilter(graph, `[${fg}]scale=${size}:force_original_aspect_ratio=decrease[${framed}]`);
+  addFilter(graph, `[${blurred}][${framed}]overlay=(W-w)/2:(H-h)/2,setsar=1[${out}]`);
+  return out;
+}
+
+/**
+ * Adds a silent stereo track of the given length
+ * @param {Object} graph - Graph state
+ * @param {number} duration - Duration in seconds
+ * @returns {string} Audio label
+ */
+function silence(graph, duration) {
+  const label = nextLabel(graph, "sil");
+  addFilter(graph, `anullsrc=channel_layout=stereo:sample_rate=44100,atrim=start=0:end=${duration},asetpts=PTS-STARTPTS[${label}]`);
+  return label;
+}
+
+/**
+ * Splits one pad into several copies (a pad can only be consumed once)
+ * @param {Object} graph - Graph state
+ * @param {string} label - Pad to split
+ * @param {number} count - Number of copies needed
+ * @param {string} kind - 'v' or 'a'
+ * @returns {string[]} Copy labels
+ */
+function splitPad(graph, label, count, kind) {
+  if (count === 0) {
+    addFilter(graph, `[${label}]${kind === "v" ? "nullsink" : "anullsink"}`);
+    return [];
+  }
+  if (count === 1) return [label];
+
+  const copies = [];
+  for (let i = 0; i < count; i++) {
+    copies.push(nextLabel(graph, `${kind}s`));
+  }
+  addFilter(graph, `[${label}]${kind === "v" ? "split" : "asplit"}=${count}[${copies.join("][")}]`);
+  return copies;
+}
+
+/**
+ * Cuts a time range out of a pad and resets its timestamps
+ * @param {Object} graph - Graph state
+ * @param {string} label - Pad to cut
+ * @param {number} start - Start in seconds
+ * @param {number|null} end - End in seconds (null = until the end)
+ * @param {string} kind - 'v' or 'a'
+ * @returns {string} Label of the cut pad
+ */
+function cutPad(graph, label, start, end, kind) {
+  const out = nextLabel(graph, `${kind}c`);
+  const range = end === null ? `start=${start}` : `start=${start}:end=${end}`;
+  if (kind === "v") {
+    addFilter(graph, `[${label}]trim=${range},setpts=PTS-STARTPTS[${out}]`);
+  } else {
+    addFilter(graph, `[${label}]atrim=${range},asetpts=PTS-STARTPTS[${out}]`);
+  }
+  return out;
+}
+
+/**
+ * Splits a stream into several copies
+ * @param {Object} graph - Graph state
+ * @param {Object} stream - Stream {v, a, duration, fps, hasAudio}
+ * @param {number} count - Number of copies needed
+ * @returns {Object[]} Stream copies
+ */
+function splitStream(graph, stream, count) {
+  const videos = splitPad(graph, stream.v, count, "v");
+  const audios = splitPad(graph, stream.a, count, "a");
+  return videos.map((v, i) => ({ ...stream, v, a: audios[i] }));
+}
+
+/**
+ * Cuts a time range out of a stream (video and audio at the same points)
+ * @param {Object} graph - Graph state
+ * @param {Object} stream - Stream {v, a, duration, fps, hasAudio}
+ * @param {number} start - Start in seconds
+ * @param {number|null} end - End in seconds (null = until the end)
+ * @returns {Object} Cut stream
+ */
+function cutStream(graph, stream, start, end) {
+  return {
+    ...stream,
+    v: cutPad(graph, stream.v, start, end, "v"),
+    a: cutPad(graph, stream.a, start, end, "a"),
+    duration: (end === null ? stream.duration : end) - start
+  };
+}
+
+/**
+ * Divides a timeline into the given ranges and the gaps between them
+ * Ranges are clamped to the timeline and sorted; ranges shorter than 0.01s are dropped
+ * @param {number} duration - Timeline duration in seconds
+ * @param {Object[]} ranges - [{start, end}] not overlapping, end null = until the end
+ * @returns {Object[]} Pieces [{start, end, range}] in order, range is null for gaps (end null for a final gap)
+ */
+function timelinePieces(duration, ranges) {
+  const sorted = ranges
+    .map(range => ({ range, start: Math.min(range.start, duration), end: Math.min(range.end ?? duration, duration) }))
+    .filter(piece => piece.end - piece.start > 0.01)
+    .sort((a, b) => a.start - b.start);
+
+  const pieces = [];
+  let cursor = 0;
+  for (const piece of sorted) {
+    if (piece.start - cursor > 0.01) pieces.push({ start: cursor, end: piece.start, range: null });
+    pieces.push(piece);
+    cursor = piece.end;
+  }
+  if (sorted.length > 0 && duration - cursor > 0.01) pieces.push({ start: cursor, end: null, range: null });
+  return pieces;
+}
+
+/**
+ * Concatenates streams in order
+ * @param {Object} graph - Graph state
+ * @param {Object[]} streams - Streams with matching properties
+ * @returns {Object} Joined stream
+ */
+function concatStreams(graph, streams) {
+  if (streams.length === 1) return streams[0];
+
+  const v = nextLabel(graph, "vj");
+  const a = nextLabel(graph, "aj");
+  const pads = streams.map(s => `[${s.v}][${s.a}]`).join("");
+  addFilter(graph, `${pads}concat=n=${streams.length}:v=1:a=1[${v}][${a}]`);
+
+  return {
+    v,
+    a,
+    duration: streams.reduce((sum, s) => sum + s.duration, 0),
+    fps: streams[0].fps,
+    hasAudio: streams.some(s => s.hasAudio)
+  };
+}
+
+/**
+ * Concatenates audio pads in order
+ * @param {Object} graph - Graph state
+ * @param {string[]} labels - Audio pads
+ * @returns {string} Joined audio label
+ */
+function concatAudio(graph, labels) {
+  if (labels.length === 1) return labels[0];
+
+  const out = nextLabel(graph, "aj");
+  addFilter(graph, `[${labels.join("][")}]concat=n=${labels.length}:v=0:a=1[${out}]`);
+  return out;
+}
+
+module.exports = {
+  AUDIO_FORMAT,
+  createGraph,
+  addInput,
+  probeSource,
+  registerSource,
+  addSource,
+  nextLabel,
+  addFilter,
+  conformVideo,
+  fitVideo,
+  silence,
+  splitPad,
+  cutPad,
+  splitStream,
+  cutStream,
+  timelinePieces,
+  concatStreams,
+  concatAudio
+};
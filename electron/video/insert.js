@@ -1,212 +1,210 @@
-const ffmpeg = require("fluent-ffmpeg");
-const { normalizePath } = require("../utils/pathUtils");
-const { getVideoMetadata, hasAudioStream, getVideoProperties } = require("../utils/videoUtils");
+const { AUDIO_FORMAT, nextLabel, addFilter, silence, splitPad, cutPad, splitStream, cutStream, concatStreams, concatAudio } = require("./graph");
+const { trimFragment } = require("./trim");
+const { transitionStreams } = require("./transition");
+const { freezeFragment } = require("./freeze");
+
+// Corner radius of the rounded PiP mask, as a fraction of the window height
+const PIP_CORNER_RADIUS = 0.12;
+
+/**
+ * Inserts a clip into a stream at specified position
+ * @param {Object} graph - Graph state
+ * @param {Object} base - Base stream (already trimmed)
+ * @param {Object} insertSource - Source of the clip to insert
+ * @param {Object} options - {position, duration, sourceStart, mode}
+ *   position - Insert position in seconds, relative to the base stream
+ *   duration - Duration of insert in seconds
+ *   sourceStart - Time in the insert clip where the inserted part starts (in point)
+ *   mode - 'sequential' (extends timeline), 'overlapping' (replaces base, keeps base duration)
+ *          or 'pip' (shown in a window over the base, see pipFragment)
+ *   pip - PiP window options, used in 'pip' mode
+ *   transitionIn, transitionOut - {type, duration} into and out of the insert, or null for a hard cut
+ *     (not used in 'pip' mode)
+ * @param {Object} props - Target properties {width, height, fps}
+ * @returns {Object} Resulting stream
+ * @throws {Error} If the in point is past the end of the insert clip
+ */
+function insertFragment(graph, base, insertSource, options, props) {
+  const isOverlapping = options.mode === 'overlapping';
+  const safePos = Math.max(0, Math.min(options.position, base.duration));
+  const sourceStart = options.sourceStart || 0;
+  const available = insertSource.duration ? insertSource.duration - sourceStart : options.duration;
+  if (available <= 0) {
+    throw new Error(`Insert in point (${sourceStart}s) is past the end of the clip`);
+  }
+  const safeDur = Math.min(options.duration, available);
+
+  if (options.mode === 'pip') {
+    return pipFragment(graph, base, insertSource, {
+      position: safePos,
+      duration: Math.min(safeDur, base.duration - safePos),
+      sourceStart,
+      ...options.pip
+    }, props);
+  }
+
+  // OVERLAPPING MODE: Replace base video segment with insert video (cut and replace)
+  // Example: Base 40s, insert at 5s for 10s duration
+  // Result: Base 0-5s, Insert 5-15s, Base 15-40s (total 40s)
+  // SEQUENTIAL MODE: Base 0-5s, Insert 5-15s, Base 5-40s (total 50s)
+  const insertDuration = isOverlapping ? Math.min(safeDur, base.duration - safePos) : safeDur;
+  const resumePos = isOverlapping ? safePos + insertDuration : safePos;
+
+  const hasBefore = safePos > 0.1;
+  const hasAfter = base.duration - resumePos > 0.1;
+  const copies = splitStream(graph, base, Number(hasBefore) + Number(hasAfter));
+
+  // Each transition can use at most half of the insert
+  const maxTransition = (insertDuration - 0.1) / 2;
+  const transitionIn = hasBefore && options.transitionIn
+    ? { ...options.transitionIn, duration: Math.min(options.transitionIn.duration, maxTransition) }
+    : null;
+  const transitionOut = hasAfter && options.transitionOut
+    ? { ...options.transitionOut, duration: Math.min(options.transitionOut.duration, maxTransition) }
+    : null;
+  // Overlapping: the transitions blend with the base frames the insert covers, so the base keeps its duration
+  // Sequential: they overlap the base around the insert, which shortens the result by their durations
+  const extendIn = isOverlapping && transitionIn ? transitionIn.duration : 0;
+  const extendOut = isOverlapping && transitionOut ? transitionOut.duration : 0;
+
+  let stream = trimFragment(graph, insertSource, sourceStart, sourceStart + insertDuration, props);
+  if (hasBefore) {
+    const before = cutStream(graph, copies.shift(), 0, safePos + extendIn);
+    stream = transitionIn
+      ? transitionStreams(graph, before, stream, transitionIn)
+      : concatStreams(graph, [before, stream]);
+  }
+  if (hasAfter) {
+    const after = cutStream(graph, copies.shift(), resumePos - extendOut, null);
+    stream = transitionOut
+      ? transitionStreams(graph, stream, after, transitionOut)
+      : concatStreams(graph, [stream, after]);
+  }
+  return stream;
+}
 
 /**
- * Inserts a video into another video at specified position
- * @param {string} mainVideo - Main video path
- * @param {string} insertVideoPath - Video to insert
- * @param {number} position - Insert position in seconds
- * @param {number} duration - Duration of insert in seconds
- * @param {Object} trimInfo - Trim info {start, end} if trim is active
- * @param {string} outputPath - Output file path
- * @param {string} mode - Insert mode: 'sequential' (extends timeline) or 'overlapping' (overlays, keeps base duration)
- * @returns {Promise<string>} Path to output video
+ * Builds the filter chain that shapes the PiP window: keyed, scaled, bordered and optionally rounded
+ * @param {Object} options - {scale, border, borderColor, rounded, chromaKey}
+ * @param {Object} props - Target properties {width, height, fps}
+ * @returns {string} Filter chain (no pads)
  */
-async function insertVideo(mainVideo, insertVideoPath, position, duration, trimInfo, outputPath, mode = 'sequential') {
-  insertVideoPath = normalizePath(insertVideoPath);
-  
-  const mainMeta = await getVideoMetadata(mainVideo);
-  const insMeta = await getVideoMetadata(insertVideoPath);
-  
-  const mainDur = Number(mainMeta.format.duration) || 0;
-  const insDur = Number(insMeta.format.duration) || duration;
-  
-  // Calculate working range (consider trim if present)
-  const trimStart = trimInfo?.start ?? 0;
-  const trimEnd = trimInfo?.end ?? null;
-  const hasTrim = trimEnd !== null && trimEnd > trimStart;
-  
-  let workingStart = 0;
-  let workingEnd = mainDur;
-  let relativeInsertPos = position;
-  
-  if (hasTrim) {
-    workingStart = Math.max(0, Math.min(trimStart, mainDur));
-    workingEnd = Math.max(workingStart, Math.min(trimEnd, mainDur));
-    relativeInsertPos = Math.max(0, Math.min(position, workingEnd - workingStart));
-  } else {
-    relativeInsertPos = Math.min(position, mainDur);
+function pipWindow(options, props) {
+  // Even sizes keep yuv420p happy
+  const width = Math.max(2, Math.round((props.width * options.scale) / 2) * 2);
+  const border = Math.round(options.border || 0);
+
+  const chain = [`fps=${props.fps}`];
+  if (options.chromaKey) {
+    // Key at the source size so the edges are scaled smoothly afterwards
+    const { color, similarity, blend } = options.chromaKey;
+    chain.push("format=yuva420p", `chromakey=color=0x${color.replace("#", "")}:similarity=${similarity}:blend=${blend}`);
+  }
+  chain.push(`scale=${width}:-2`, "setsar=1");
+  if (border > 0) {
+    chain.push(`pad=iw+${border * 2}:ih+${border * 2}:${border}:${border}:color=${options.borderColor || "white"}`);
   }
-  
-  const safePos = relativeInsertPos;
-  const safeDur = Math.min(duration, insDur);
-  const mainHasA = hasAudioStream(mainMeta);
-  const insHasA = hasAudioStream(insMeta);
-  const props = getVideoProperties(mainMeta);
-  const isOverlapping = mode === 'overlapping';
-  
-  // Build FFmpeg filters
-  const filters = [];
-  const absInsertPos = workingStart + safePos;
-  const absWorkingEnd = workingEnd;
-  
-  if (isOverlapping) {
-    // OVERLAPPING MODE: Replace base video segment with insert video (cut and replace)
-    // Keep base video duration unchanged - insert replaces base during the period
-    // Example: Base 40s, insert at 5s for 10s duration
-    // Result: Base 0-5s, Insert 5-15s, Base 15-40s (total 40s)
-    
-    const baseDuration = absWorkingEnd - workingStart;
-    const insertStartTime = absInsertPos - workingStart;
-    const insertEndTime = Math.min(insertStartTime + safeDur, baseDuration);
-    const insertDuration = insertEndTime - insertStartTime;
-    
-    // Part 1: Base video before insert (0 to insertStartTime)
-    if (insertStartTime > 0.1) {
-      filters.push(`[0:v]trim=start=${workingStart}:end=${absInsertPos},setpts=PTS-STARTPTS,fps=${props.fps},scale=${props.width}:${props.height}:force_original_aspect_ratio=decrease,pad=${props.width}:${props.height}:-1:-1:color=black[v0]`);
-      if (mainHasA) {
-        filters.push(`[0:a]atrim=start=${workingStart}:end=${absInsertPos},asetpts=PTS-STARTPTS[a0]`);
-      } else {
-        filters.push(`anullsrc=channel_layout=stereo:sample_rate=44100,atrim=start=0:end=${insertStartTime},asetpts=PTS-STARTPTS[a0]`);
-      }
-    }
-    
-    // Part 2: Insert video (replaces base during insertStartTime to insertEndTime)
-    filters.push(`[1:v]trim=start=0:end=${insertDuration},setpts=PTS-STARTPTS,fps=${props.fps},scale=${props.width}:${props.height}:force_original_aspect_ratio=decrease,pad=${props.width}:${props.height}:-1:-1:color=black[v1]`);
-    if (insHasA) {
-      filters.push(`[1:a]atrim=start=0:end=${insertDuration},asetpts=PTS-STARTPTS[a1]`);
-    } else {
-      filters.push(`anullsrc=channel_layout=stereo:sample_rate=44100,atrim=start=0:end=${insertDuration},asetpts=PTS-STARTPTS[a1]`);
-    }
-    
-    // Part 3: Base video after insert (insertEndTime to baseDuration)
-    const remainingDuration = baseDuration - insertEndTime;
-    if (remainingDuration > 0.1) {
-      // Calculate absolute position where base video resumes (skip the insert duration)
-      const baseResumePos = absInsertPos + insertDuration;
-      filters.push(`[0:v]trim=start=${baseResumePos}:end=${absWorkingEnd},setpts=PTS-STARTPTS,fps=${props.fps},scale=${props.width}:${props.height}:force_original_aspect_ratio=decrease,pad=${props.width}:${props.height}:-1:-1:color=black[v2]`);
-      if (mainHasA) {
-        filters.push(`[0:a]atrim=start=${baseResumePos}:end=${absWorkingEnd},asetpts=PTS-STARTPTS[a2]`);
-      } else {
-        filters.push(`anullsrc=channel_layout=stereo:sample_rate=44100,atrim=start=0:end=${remainingDuration},asetpts=PTS-STARTPTS[a2]`);
-      }
-      
-      // Concatenate all three parts
-      if (insertStartTime > 0.1) {
-        filters.push(`[v0][a0][v1][a1][v2][a2]concat=n=3:v=1:a=1[outv][outa]`);
-      } else {
-        filters.push(`[v1][a1][v2][a2]concat=n=2:v=1:a=1[outv][outa]`);
-      }
-    } else {
-      // No remaining base video after insert
-      if (insertStartTime > 0.1) {
-        filters.push(`[v0][a0][v1][a1]concat=n=2:v=1:a=1[outv][outa]`);
-      } else {
-        filters.push(`[v1][a1]concat=n=1:v=1:a=1[outv][outa]`);
-      }
-    }
-    
-    return new Promise((resolve, reject) => {
-      ffmpeg()
-        .input(mainVideo)
-        .input(insertVideoPath)
-        .complexFilter(filters)
-        .outputOptions([
-          '-map', '[outv]',
-          '-map', '[outa]',
-          '-c:v', 'libx264',
-          '-preset', 'medium',
-          '-crf', '23',
-          '-r', String(props.fps),
-          '-c:a', 'aac',
-          '-b:a', '192k'
-        ])
-        .output(outputPath)
-        .on('end', () => {
-          console.log("Overlapping insert completed:", outputPath, "Duration:", baseDuration);
-          resolve(outputPath);
-        })
-        .on('error', (err) => {
-          console.error("Overlapping insert error:", err);
-          reject(err);
-        })
-        .run();
-    });
-  } else {
-    // SEQUENTIAL MODE: Concatenate parts (original behavior)
-    // Part 1: Main video before insert
-    if (safePos > 0.1) {
-      filters.push(`[0:v]trim=start=${workingStart}:end=${absInsertPos},setpts=PTS-STARTPTS,fps=${props.fps},scale=${props.width}:${props.height}:force_original_aspect_ratio=decrease,pad=${props.width}:${props.height}:-1:-1:color=black[v0]`);
-      if (mainHasA) {
-        filters.push(`[0:a]atrim=start=${workingStart}:end=${absInsertPos},asetpts=PTS-STARTPTS[a0]`);
-      } else {
-        filters.push(`anullsrc=channel_layout=stereo:sample_rate=44100,atrim=start=0:end=${safePos},asetpts=PTS-STARTPTS[a0]`);
-      }
-    }
-    
-    // Part 2: Insert video
-    filters.push(`[1:v]trim=start=0:end=${safeDur},setpts=PTS-STARTPTS,fps=${props.fps},scale=${props.width}:${props.height}:force_original_aspect_ratio=decrease,pad=${props.width}:${props.height}:-1:-1:color=black[v1]`);
-    if (insHasA) {
-      filters.push(`[1:a]atrim=start=0:end=${safeDur},asetpts=PTS-STARTPTS[a1]`);
-    } else {
-      filters.push(`anullsrc=channel_layout=stereo:sample_rate=44100,atrim=start=0:end=${safeDur},asetpts=PTS-STARTPTS[a1]`);
-    }
-    
-    // Part 3: Main video after insert
-    const remainingInWorkingRange = absWorkingEnd - absInsertPos;
-    if (remainingInWorkingRange > 0.1) {
-      filters.push(`[0:v]trim=start=${absInsertPos}:end=${absWorkingEnd},setpts=PTS-STARTPTS,fps=${props.fps},scale=${props.width}:${props.height}:force_original_aspect_ratio=decrease,pad=${props.width}:${props.height}:-1:-1:color=black[v2]`);
-      if (mainHasA) {
-        filters.push(`[0:a]atrim=start=${absInsertPos}:end=${absWorkingEnd},asetpts=PTS-STARTPTS[a2]`);
-      } else {
-        filters.push(`anullsrc=channel_layout=stereo:sample_rate=44100,atrim=start=0:end=${remainingInWorkingRange},asetpts=PTS-STARTPTS[a2]`);
-      }
-      
-      if (safePos > 0.1) {
-        filters.push(`[v0][a0][v1][a1][v2][a2]concat=n=3:v=1:a=1[outv][outa]`);
-      } else {
-        filters.push(`[v1][a1][v2][a2]concat=n=2:v=1:a=1[outv][outa]`);
-      }
-    } else {
-      if (safePos > 0.1) {
-        filters.push(`[v0][a0][v1][a1]concat=n=2:v=1:a=1[outv][outa]`);
-      } else {
-        filters.push(`[v1][a1]concat=n=1:v=1:a=1[outv][outa]`);
-      }
-    }
-    
-    return new Promise((resolve, reject) => {
-      ffmpeg()
-        .input(mainVideo)
-        .input(insertVideoPath)
-        .complexFilter(filters)
-        .outputOptions([
-          '-map', '[outv]',
-          '-map', '[outa]',
-          '-c:v', 'libx264',
-          '-preset', 'medium',
-          '-crf', '23',
-          '-r', String(props.fps),
-          '-c:a', 'aac',
-          '-b:a', '192k',
-          '-shortest'
-        ])
-        .output(outputPath)
-        .on('end', () => {
-          console.log("Sequential insert completed:", outputPath);
-          resolve(outputPath);
-        })
-        .on('error', (err) => {
-          console.error("Sequential insert error:", err);
-          reject(err);
-        })
-        .run();
-    });
+  if (options.rounded) {
+    // Clear the alpha outside a circle of radius R in each corner (keeping any keyed-out alpha)
+    const r = `(H*${PIP_CORNER_RADIUS})`;
+    const dx = `(${r}-min(X,W-1-X))`;
+    const dy = `(${r}-min(Y,H-1-Y))`;
+    chain.push("format=yuva420p");
+    chain.push(`geq=lum='p(X,Y)':cb='cb(X,Y)':cr='cr(X,Y)':a='if(gt(${dx},0)*gt(${dy},0)*gt(hypot(${dx},${dy}),${r}),0,alpha(X,Y))'`);
   }
+  return chain.join(",");
 }
 
-module.exports = { insertVideo };
+/**
+ * Overlays a clip as a picture-in-picture window over part of a stream
+ * The base keeps its duration; its audio is mixed with, replaced by or kept over the PiP audio
+ * @param {Object} graph - Graph state
+ * @param {Object} base - Base stream
+ * @param {Object} insertSource - Source of the clip to overlay
+ * @param {Object} options - {position, duration, sourceStart, x, y, scale, border, borderColor, rounded, chromaKey, audio}
+ *   x, y - Window position from 0 (left/top) to 1 (right/bottom) of the space left around it
+ *   scale - Window width as a fraction of the frame width
+ *   border - Border width in pixels, borderColor - any FFmpeg color
+ *   chromaKey - {color, similarity, blend} to key out a background (green screen), or null
+ *   audio - 'mix', 'replace' (main audio is dropped during the window) or 'mute'
+ * @param {Object} props - Target properties {width, height, fps}
+ * @returns {Object} Resulting stream
+ */
+function pipFragment(graph, base, insertSource, options, props) {
+  const { position, duration, sourceStart } = options;
+  const end = sourceStart + duration;
+
+  // Video: shift the window's timestamps to its position and let the base pass through afterwards
+  const win = nextLabel(graph, "pip");
+  addFilter(graph, `[${insertSource.index}:v]trim=start=${sourceStart}:end=${end},setpts=PTS-STARTPTS+${position}/TB,${pipWindow(options, props)}[${win}]`);
+  const v = nextLabel(graph, "v");
+  addFilter(graph, `[${base.v}][${win}]overlay=x='(main_w-overlay_w)*${options.x}':y='(main_h-overlay_h)*${options.y}':eof_action=pass[${v}]`);
+
+  const audioMode = insertSource.hasAudio ? options.audio : (options.audio === 'replace' ? 'replace' : 'mute');
+  if (audioMode === 'mute') {
+    return { ...base, v };
+  }
+
+  let pipAudio;
+  if (insertSource.hasAudio) {
+    pipAudio = nextLabel(graph, "a");
+    addFilter(graph, `[${insertSource.index}:a]atrim=start=${sourceStart}:end=${end},asetpts=PTS-STARTPTS,${AUDIO_FORMAT}[${pipAudio}]`);
+  }
+
+  if (audioMode === 'mix') {
+    const delay = Math.round(position * 1000);
+    const delayed = nextLabel(graph, "a");
+    addFilter(graph, `[${pipAudio}]adelay=${delay}|${delay}[${delayed}]`);
+    const a = nextLabel(graph, "amix");
+    addFilter(graph, `[${base.a}][${delayed}]amix=inputs=2:duration=first:dropout_transition=0:normalize=0[${a}]`);
+    return { ...base, v, a, hasAudio: true };
+  }
 
+  // Replace: main audio before and after the window, PiP audio (or silence) during it
+  const hasBefore = position > 0;
+  const hasAfter = base.duration - (position + duration) > 0;
+  const copies = splitPad(graph, base.a, Number(hasBefore) + Number(hasAfter), "a");
+  const parts = [];
+  if (hasBefore) {
+    parts.push(cutPad(graph, copies.shift(), 0, position, "a"));
+  }
+  parts.push(pipAudio || silence(graph, duration));
+  if (hasAfter) {
+    parts.push(cutPad(graph, copies.shift(), position + duration, null, "a"));
+  }
+  return { ...base, v, a: concatAudio(graph, parts), hasAudio: base.hasAudio || insertSource.hasAudio };
+}
 
+/**
+ * Inserts several clips and freeze frames in timeline order
+ * Positions are relative to the base stream; each sequential insert or silent freeze pushes back the ones after it
+ * @param {Object} graph - Graph state
+ * @param {Object} base - Base stream (already trimmed)
+ * @param {Object[]} inserts - [{source, position, duration, sourceStart, mode, pip, transitionIn, transitionOut}], see insertFragment,
+ *   or [{freeze: true, position, duration, audio}] for a freeze frame, see freezeFragment
+ * @param {Object} props - Target properties {width, height, fps}
+ * @returns {Object} Resulting stream
+ */
+function insertClipsFragment(graph, base, inserts, props) {
+  const ordered = [...inserts].sort((a, b) => a.position - b.position);
+  let stream = base;
+  let shift = 0;
+  for (const insert of ordered) {
+    const before = stream.duration;
+    stream = insert.freeze
+      ? freezeFragment(graph, stream, { position: insert.position + shift, duration: insert.duration, audio: insert.audio })
+      : insertFragment(graph, stream, insert.source, {
+        position: insert.position + shift,
+        duration: insert.duration,
+        sourceStart: insert.sourceStart,
+        mode: insert.mode,
+        pip: insert.pip,
+        transitionIn: insert.transitionIn,
+        transitionOut: insert.transitionOut
+      }, props);
+    shift += stream.duration - before;
+  }
+  return stream;
+}
 
+module.exports = { insertFragment, insertClipsFragment };
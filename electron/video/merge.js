@@ -1,158 +1,73 @@
-const path = require("path");
-const fs = require("fs");
-const ffmpeg = require("fluent-ffmpeg");
-const { normalizePath } = require("../utils/pathUtils");
-const { getVideoMetadata, hasAudioStream, getVideoProperties } = require("../utils/videoUtils");
+const { concatStreams } = require("./graph");
+const { trimFragment } = require("./trim");
+const { transitionStreams } = require("./transition");
 
 /**
- * Merges multiple videos into one
- * Normalizes all videos to match main video properties (resolution, fps, codec)
- * @param {string} mainVideo - Main video path (already trimmed if trim was applied)
- * @param {Array} mergeVideos - Array of video objects with path property
- * @param {string} outputPath - Output file path
- * @returns {Promise<string>} Path to merged video
+ * Picks the properties every part of a merge is conformed to
+ * @param {Object} main - Main source from addSource
+ * @param {Object[]} sources - Merge clip sources from addSource
+ * @param {Object|null} output - {target, width, height, fps}
+ *   target - 'main' (main video properties), 'largest' (the clip with the most pixels) or 'custom' (width/height/fps)
+ * @returns {Object} Target properties {width, height, fps}
  */
-async function mergeVideos(mainVideo, mergeVideos, outputPath) {
-  const tempDir = path.dirname(outputPath);
-  const tempFiles = [];
-  
-  try {
-    // Get main video properties to normalize all videos to match
-    const mainMeta = await getVideoMetadata(mainVideo);
-    const props = getVideoProperties(mainMeta);
-    const mainDuration = Number(mainMeta.format.duration) || 0;
-    
-    console.log(`Merging videos - Target properties: ${props.width}x${props.height} @ ${props.fps}fps`);
-    console.log(`Main video duration: ${mainDuration}s`);
-    
-    // Step 1: Normalize main video to common format
-    const normalizedMain = path.join(tempDir, `normalized_main_${Date.now()}.mp4`);
-    tempFiles.push(normalizedMain);
-    
-    await normalizeVideo(mainVideo, normalizedMain, props, mainDuration);
-    console.log("Main video normalized");
-    
-    // Step 2: Normalize all merge videos to common format
-    const normalizedMergeVideos = [];
-    for (let i = 0; i < mergeVideos.length; i++) {
-      const v = mergeVideos[i];
-      const normalizedPath = normalizePath(v.path);
-      if (fs.existsSync(normalizedPath)) {
-        const mergeMeta = await getVideoMetadata(normalizedPath);
-        const mergeDuration = Number(mergeMeta.format.duration) || 0;
-        const normalizedMerge = path.join(tempDir, `normalized_merge_${i}_${Date.now()}.mp4`);
-        tempFiles.push(normalizedMerge);
-        
-        await normalizeVideo(normalizedPath, normalizedMerge, props, mergeDuration);
-        normalizedMergeVideos.push(normalizedMerge);
-        console.log(`Merge video ${i + 1} normalized: ${mergeDuration}s`);
-      }
-    }
-    
-    // Step 3: Use concat demuxer to merge all normalized videos
-    const allVideos = [normalizedMain, ...normalizedMergeVideos];
-    const concatFile = path.join(tempDir, `concat_${Date.now()}.txt`);
-    tempFiles.push(concatFile);
-    
-    // Create concat file
-    const concatContent = allVideos.map(videoPath => {
-      // Escape single quotes and use forward slashes for paths
-      const escapedPath = videoPath.replace(/\\/g, '/').replace(/'/g, "\\'");
-      return `file '${escapedPath}'`;
-    }).join('\n');
-    
-    fs.writeFileSync(concatFile, concatContent, 'utf8');
-    console.log(`Created concat file with ${allVideos.length} videos`);
-    
-    // Use concat demuxer (requires same codec/properties, which we've normalized)
-    await new Promise((resolve, reject) => {
-      ffmpeg()
-        .input(concatFile)
-        .inputOptions(['-f', 'concat', '-safe', '0'])
-        .outputOptions([
-          '-c', 'copy', // Use copy since all videos are now same format
-          '-avoid_negative_ts', 'make_zero'
-        ])
-        .output(outputPath)
-        .on('end', () => {
-          console.log("Merge completed:", outputPath);
-          console.log(`Merged ${allVideos.length} videos successfully`);
-          resolve();
-        })
-        .on('error', (err) => {
-          console.error("Merge error:", err);
-          console.error("Error details:", err.message);
-          reject(err);
-        })
-        .run();
-    });
-    
-    return outputPath;
-  } catch (error) {
-    console.error("Error in mergeVideos:", error);
-    throw error;
-  } finally {
-    // Clean up temp files
-    tempFiles.forEach(tempFile => {
-      try {
-        if (fs.existsSync(tempFile)) {
-          fs.unlinkSync(tempFile);
-        }
-      } catch (e) {
-        console.error("Error deleting temp file:", e);
-      }
-    });
+function mergeTargetProps(main, sources, output) {
+  if (!output || output.target === "main") return main.props;
+
+  if (output.target === "largest") {
+    return [main, ...sources].reduce((largest, source) => (
+      source.props.width * source.props.height > largest.width * largest.height ? source.props : largest
+    ), main.props);
   }
+
+  // yuv420p needs even frame sizes
+  const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+  return {
+    width: even(output.width),
+    height: even(output.height),
+    fps: output.fps || main.props.fps
+  };
 }
 
 /**
- * Normalizes a video to match target properties (resolution, fps, codec)
- * @param {string} inputPath - Input video path
- * @param {string} outputPath - Output video path
- * @param {Object} targetProps - Target properties {width, height, fps}
- * @param {number} duration - Video duration in seconds
+ * Joins the main stream and merge clips in order
+ * Every clip is cut to its range and conformed to the target properties (resolution, fps, audio format)
+ * @param {Object} graph - Graph state
+ * @param {Object} main - Main stream (already trimmed/inserted)
+ * @param {Object[]} clips - Clips in play order: {source, start, end, fit, transition}, plus an optional {main, transition}
+ *   entry for where the main stream plays (first if missing)
+ *   fit - How the clip fits the target size: 'letterbox', 'crop' or 'blur'
+ *   transition - {type, duration} of the join into this clip, or null for a hard cut
+ * @param {Object} props - Target properties {width, height, fps}, see mergeTargetProps
+ * @returns {Object} {stream, clipEnds} the merged stream and the time each merge clip ends at in it, in play order
  */
-async function normalizeVideo(inputPath, outputPath, targetProps, duration) {
-  const meta = await getVideoMetadata(inputPath);
-  const hasAudio = hasAudioStream(meta);
-  
-  const filters = [];
-  
-  // Video filter: normalize to target properties
-  filters.push(`[0:v]scale=${targetProps.width}:${targetProps.height}:force_original_aspect_ratio=decrease,pad=${targetProps.width}:${targetProps.height}:-1:-1:color=black,fps=${targetProps.fps}[v]`);
-  
-  // Audio filter: normalize audio or generate silent audio
-  if (hasAudio) {
-    filters.push(`[0:a]aformat=sample_rates=44100:channel_layouts=stereo[a]`);
-  } else {
-    filters.push(`anullsrc=channel_layout=stereo:sample_rate=44100,atrim=start=0:end=${duration}[a]`);
-  }
-  
-  return new Promise((resolve, reject) => {
-    ffmpeg(inputPath)
-      .complexFilter(filters)
-      .outputOptions([
-        '-map', '[v]',
-        '-map', '[a]',
-        '-c:v', 'libx264',
-        '-preset', 'fast',
-        '-crf', '23',
-        '-r', String(targetProps.fps),
-        '-c:a', 'aac',
-        '-b:a', '192k',
-        '-pix_fmt', 'yuv420p',
-        '-t', String(duration) // Limit to exact duration
-      ])
-      .output(outputPath)
-      .on('end', resolve)
-      .on('error', (err) => {
-        console.error(`Error normalizing video ${inputPath}:`, err);
-        reject(err);
-      })
-      .run();
-  });
-}
+function mergeFragment(graph, main, clips, props) {
+  console.log(`Merging videos - Target properties: ${props.width}x${props.height} @ ${props.fps}fps`);
 
-module.exports = { mergeVideos };
+  const order = clips.some(clip => clip.main) ? clips : [{ main: true, transition: null }, ...clips];
+  const parts = order.map(clip => ({
+    stream: clip.main
+      ? main
+      : trimFragment(graph, clip.source, clip.start || 0, clip.end ? Math.min(clip.end, clip.source.duration) : clip.source.duration, props, clip.fit),
+    transition: clip.transition
+  }));
 
+  // Hard cuts are batched into one concat; each transition closes the batch before it
+  let stream = parts[0].stream;
+  let pending = [];
+  let position = stream.duration;
+  const clipEnds = order[0].main ? [] : [position];
+  parts.slice(1).forEach((part, i) => {
+    if (part.transition) {
+      stream = transitionStreams(graph, concatStreams(graph, [stream, ...pending]), part.stream, part.transition);
+      pending = [];
+      position = stream.duration;
+    } else {
+      pending.push(part.stream);
+      position += part.stream.duration;
+    }
+    if (!order[i + 1].main) clipEnds.push(position);
+  });
+  return { stream: concatStreams(graph, [stream, ...pending]), clipEnds };
+}
 
+module.exports = { mergeTargetProps, mergeFragment };
@@ -1,212 +1,280 @@
+const fs = require("fs");
+const os = require("os");
 const path = require("path");
-const { mergeVideos } = require("./merge");
-const { trimVideo } = require("./trim");
-const { insertVideo } = require("./insert");
-const { applySpeed } = require("./speed");
-const { replaceAudio, applySpeedWithAudio, mixAudio, applySpeedWithMixedAudio } = require("./audio");
-const { getVideoMetadata, hasAudioStream } = require("../utils/videoUtils");
-const { normalizePath } = require("../utils/pathUtils");
+const ffmpeg = require("fluent-ffmpeg");
+const { buildEditGraph, planEffectsPass, buildEffectsGraph } = require("./builder");
+const { planStreamCopy } = require("./streamCopy");
+const { timemarkToSeconds } = require("../utils/videoUtils");
 const { cleanupTempFiles } = require("../utils/fileUtils");
 
+/**
+ * Creates the error thrown when a job is cancelled through its abort signal
+ * @returns {Error} Cancellation error
+ */
+function createCancelError() {
+  const error = new Error("Job cancelled");
+  error.cancelled = true;
+  return error;
+}
+
+/**
+ * Runs a prepared ffmpeg command, reporting progress and killing it when the job is aborted
+ * @param {Object} command - fluent-ffmpeg command with inputs and output options set
+ * @param {string} outputPath - Output file path
+ * @param {number} duration - Expected output duration in seconds (for progress)
+ * @param {Object} jobOptions - {onProgress, signal, clipEnds}
+ *   onProgress - Called with {step, percent, fps, eta, clips} while encoding
+ *   signal - AbortSignal that kills the ffmpeg process when aborted
+ *   clipEnds - Output time each merge clip is rendered by; progress then includes clips {done, total}
+ * @returns {Promise<string>} Path to output video
+ */
+function runCommand(command, outputPath, duration, jobOptions = {}) {
+  const { onProgress, signal, clipEnds = [] } = jobOptions;
+  const clipProgress = (time) => (clipEnds.length > 0
+    ? { clips: { done: clipEnds.filter(end => time >= end - 0.05).length, total: clipEnds.length } }
+    : {});
+
+  return new Promise((resolve, reject) => {
+    let startedAt = Date.now();
+    let cancelled = false;
+    const onAbort = () => {
+      cancelled = true;
+      command.kill('SIGKILL');
+    };
+    if (signal) {
+      if (signal.aborted) {
+        reject(createCancelError());
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    const detach = () => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+
+    command
+      .output(outputPath)
+      .on('start', (commandLine) => {
+        startedAt = Date.now();
+        console.log("FFmpeg command:", commandLine);
+      })
+      .on('progress', (progress) => {
+        if (!onProgress) return;
+        // fluent-ffmpeg's own percent is based on the first input, so compute it from the output timeline
+        const done = timemarkToSeconds(progress.timemark);
+        const percent = duration > 0 ? Math.min(100, (done / duration) * 100) : 0;
+        const elapsed = (Date.now() - startedAt) / 1000;
+        onProgress({
+          step: 'render',
+          percent,
+          fps: progress.currentFps || 0,
+          eta: percent > 0 ? (elapsed * (100 - percent)) / percent : null,
+          ...clipProgress(done)
+        });
+      })
+      .on('end', () => {
+        detach();
+        console.log("Render completed:", outputPath, "Duration:", duration);
+        if (onProgress) onProgress({ step: 'render', percent: 100, fps: 0, eta: 0, ...clipProgress(duration) });
+        resolve(outputPath);
+      })
+      .on('error', (err) => {
+        detach();
+        if (cancelled) {
+          console.log("Render cancelled:", outputPath);
+          reject(createCancelError());
+          return;
+        }
+        console.error("Render error:", err);
+        reject(err);
+      })
+      .run();
+  });
+}
+
+/**
+ * Creates an ffmpeg command with the inputs and filters of a compiled graph
+ * @param {Object} graph - Graph state from buildEditGraph
+ * @returns {Object} fluent-ffmpeg command
+ */
+function graphCommand(graph) {
+  const command = ffmpeg();
+  graph.inputs.forEach(input => {
+    command.input(input.path);
+    if (input.options.length > 0) {
+      command.inputOptions(input.options);
+    }
+  });
+  return command.complexFilter(graph.filters);
+}
+
+/**
+ * Writes a compiled filtergraph to a lossless intermediate file, for edits rendered in several passes
+ * @param {Object} graph - Graph state from buildEditGraph or planEffectsPass
+ * @param {Object} stream - Stream to write {v, a, duration, fps}
+ * @param {string} outputPath - Intermediate file path (.mkv)
+ * @param {number} threads - Number of threads ffmpeg runs the filtergraph on
+ * @param {Object} jobOptions - {onProgress, signal, clipEnds}, see runCommand
+ * @returns {Promise<string>} Path to the intermediate file
+ */
+function renderIntermediate(graph, stream, outputPath, threads, jobOptions = {}) {
+  const command = graphCommand(graph)
+    .outputOptions([
+      '-map', `[${stream.v}]`,
+      '-map', `[${stream.a}]`,
+      '-filter_complex_threads', String(threads),
+      '-c:v', 'libx264',
+      '-preset', 'ultrafast',
+      '-qp', '0',
+      '-r', String(stream.fps),
+      '-pix_fmt', 'yuv420p',
+      '-c:a', 'pcm_s16le',
+      '-t', String(stream.duration)
+    ]);
+  return runCommand(command, outputPath, stream.duration, jobOptions);
+}
+
+/**
+ * Maps the progress of one pass onto part of the job's progress
+ * @param {Object} jobOptions - {onProgress, signal, clipEnds}, see runCommand
+ * @param {number} from - Job percent at the start of the pass
+ * @param {number} to - Job percent at the end of the pass
+ * @returns {Object} Job options for the pass
+ */
+function passOptions(jobOptions, from, to) {
+  const { onProgress } = jobOptions;
+  if (!onProgress) return jobOptions;
+  return {
+    ...jobOptions,
+    onProgress: (progress) => onProgress({ ...progress, percent: from + ((to - from) * progress.percent) / 100 })
+  };
+}
+
+/**
+ * Encodes a compiled filtergraph into the output file in a single pass
+ * @param {Object} graph - Graph state from buildEditGraph
+ * @param {Object} stream - Final stream {v, a, duration, fps}
+ * @param {string} outputPath - Output file path
+ * @param {Object} encodingOptions - {preset, crf, audioBitrate, threads}
+ *   threads - Number of threads ffmpeg runs the filtergraph on
+ * @param {Object} jobOptions - {onProgress, signal, clipEnds}, see runCommand
+ * @returns {Promise<string>} Path to output video
+ */
+function renderGraph(graph, stream, outputPath, encodingOptions, jobOptions = {}) {
+  const command = graphCommand(graph)
+    .outputOptions([
+      '-map', `[${stream.v}]`,
+      '-map', `[${stream.a}]`,
+      '-filter_complex_threads', String(encodingOptions.threads),
+      '-c:v', 'libx264',
+      '-preset', encodingOptions.preset,
+      '-crf', encodingOptions.crf,
+      '-r', String(stream.fps),
+      '-pix_fmt', 'yuv420p',
+      '-c:a', 'aac',
+      '-b:a', encodingOptions.audioBitrate,
+      '-t', String(stream.duration)
+    ]);
+  return runCommand(command, outputPath, stream.duration, jobOptions);
+}
+
+/**
+ * Joins files with matching codec parameters without re-encoding (concat demuxer, -c copy)
+ * @param {Object} plan - {files, duration} from planStreamCopy
+ * @param {string} outputPath - Output file path
+ * @param {Object} jobOptions - {onProgress, signal}, see runCommand
+ * @returns {Promise<string>} Path to output video
+ */
+async function renderStreamCopy(plan, outputPath, jobOptions = {}) {
+  const listPath = path.join(os.tmpdir(), `framenext_concat_${Date.now()}.txt`);
+  // Concat list entries are quoted; a quote inside a path is written as '\''
+  const list = plan.files.map(file => `file '${file.replace(/'/g, "'\\''")}'`).join("\n");
+  fs.writeFileSync(listPath, list, "utf8");
+
+  const command = ffmpeg()
+    .input(listPath)
+    .inputOptions(['-f', 'concat', '-safe', '0'])
+    .outputOptions(['-map', '0:v:0', '-map', '0:a:0?', '-c', 'copy', '-movflags', '+faststart']);
+  try {
+    return await runCommand(command, outputPath, plan.duration, jobOptions);
+  } finally {
+    cleanupTempFiles([listPath]);
+  }
+}
+
 /**
  * Processes video through the editing pipeline
+ * The whole edit is compiled into one filtergraph and encoded once; plain merges of matching files are stream-copied
+ * and long reverse ranges are rendered in several passes (see buildEditGraph's effectsPass)
  * @param {string} mainVideo - Main video path
  * @param {Object} features - Features object with trim, merge, insert, speed, audio
  * @param {string} outputPath - Final output path
- * @param {Object} options - Processing options (for preview vs export)
+ * @param {Object} options - Processing options {isPreview, onProgress, signal, concurrency}
+ *   concurrency - Threads the filtergraph runs on and maximum number of merge clips probed at once,
+ *                 defaults to the CPU count (the clips themselves are normalized inside the one graph)
+ *   onProgress - Gets {step: 'probe'} events while inputs are probed, then {step: 'render'} events that
+ *                count the merge clips rendered so far (see runCommand)
  * @returns {Promise<string>} Path to final output
  */
 async function processVideoPipeline(mainVideo, features, outputPath, options = {}) {
   const isPreview = options.isPreview || false;
+  const concurrency = options.concurrency || os.cpus().length || 1;
   const encodingOptions = {
     preset: isPreview ? 'ultrafast' : 'medium',
     crf: isPreview ? '28' : '23',
-    audioBitrate: isPreview ? '128k' : '192k'
+    audioBitrate: isPreview ? '128k' : '192k',
+    threads: concurrency
   };
-  
-  let currentVideo = mainVideo;
-  const tempFiles = [];
-  const tempDir = path.dirname(outputPath);
-  
-  try {
-    // STEP 1: Trim and/or insert video (structural changes to main video)
-    const hasInsert = features.insert && features.insert.video && typeof features.insert.video === 'string';
-    
-    // STEP 1a: Trim if present (but not if insert will handle it)
-    if (features.trim && !hasInsert && 
-        features.trim.start !== undefined && 
-        features.trim.end !== undefined &&
-        typeof features.trim.start === 'number' &&
-        typeof features.trim.end === 'number' &&
-        features.trim.start >= 0 &&
-        features.trim.end > features.trim.start) {
-      console.log("Step 1a: Trimming main video...");
-      const tempTrimFile = path.join(tempDir, `temp_trim_${Date.now()}.mp4`);
-      tempFiles.push(tempTrimFile);
-      
-      await trimVideo(currentVideo, features.trim.start, features.trim.end, tempTrimFile);
-      currentVideo = tempTrimFile;
-    }
-    
-    // STEP 1b: Insert video if present
-    if (hasInsert) {
-      console.log("Step 1b: Inserting video into main video...");
-      const tempInsertFile = path.join(tempDir, `temp_insert_${Date.now()}.mp4`);
-      tempFiles.push(tempInsertFile);
-      
-      const trimInfo = features.trim ? {
-        start: features.trim.start,
-        end: features.trim.end
-      } : null;
-      
-      await insertVideo(
-        currentVideo,
-        features.insert.video,
-        features.insert.position || 0,
-        features.insert.seconds || 5,
-        trimInfo,
-        tempInsertFile,
-        features.insert.mode || 'sequential' // Pass the mode: 'sequential' or 'overlapping'
-      );
-      currentVideo = tempInsertFile;
-    }
-    
-    // STEP 2: Merge trimmed/inserted main video with merge videos (if present)
-    // This happens BEFORE applying effects so effects can be applied to the entire merged result
-    const hasMerge = features.merge && Array.isArray(features.merge) && features.merge.length > 0;
-    const hasSpeed = features.speed && features.speed !== 1.0;
-    // Handle both old format (string) and new format (object with path property)
-    const hasAudio = features.audio && (
-      typeof features.audio === 'string' || 
-      (typeof features.audio === 'object' && features.audio.path)
-    );
-    const audioPath = hasAudio ? (
-      typeof features.audio === 'string' ? features.audio : features.audio.path
-    ) : null;
-    const audioOptions = hasAudio && typeof features.audio === 'object' ? {
-      trimStart: features.audio.trimStart,
-      trimEnd: features.audio.trimEnd,
-      placement: features.audio.placement,
-      priority: features.audio.priority,
-      startTime: features.audio.startTime,
-      endTime: features.audio.endTime,
-      videoDuration: features.audio.videoDuration,
-      audioDuration: features.audio.audioDuration,
-      mode: features.audio.mode, // "replace", "mix_inserted_main", "mix_video_main"
-      backgroundAudioVolume: features.audio.backgroundAudioVolume
-    } : null;
-    const speedValue = hasSpeed ? Number(features.speed) : 1.0;
-    
-    if (hasMerge) {
-      console.log("Step 2: Merging trimmed main video with additional videos...");
-      // Merge to a temp file first, then apply effects to the merged result
-      const tempMergeFile = path.join(tempDir, `temp_merge_${Date.now()}.mp4`);
-      tempFiles.push(tempMergeFile);
-      
-      await mergeVideos(currentVideo, features.merge, tempMergeFile);
-      currentVideo = tempMergeFile;
-    }
-    
-    // STEP 3: Apply effects (speed, audio) to the entire video (trimmed + merged)
-    // This ensures effects are applied to both the trimmed base video AND merged videos
-    const effectsOutputPath = outputPath;
-    
-    // Check if video has audio and if mixing mode is selected
-    let videoHasAudio = false;
-    let useMixing = false;
-    let mainAudioIsVideo = true;
-    let backgroundVolume = 0.5;
-    
-    if (hasAudio && audioOptions) {
-      try {
-        const videoMeta = await getVideoMetadata(currentVideo);
-        videoHasAudio = hasAudioStream(videoMeta);
-        
-        if (videoHasAudio) {
-          const audioMode = audioOptions.mode || "replace";
-          useMixing = audioMode === "mix_inserted_main" || audioMode === "mix_video_main";
-          mainAudioIsVideo = audioMode === "mix_video_main";
-          backgroundVolume = audioOptions.backgroundAudioVolume !== undefined ? audioOptions.backgroundAudioVolume : 0.5;
-          console.log("Audio mode detected:", audioMode, "useMixing:", useMixing, "mainAudioIsVideo:", mainAudioIsVideo, "backgroundVolume:", backgroundVolume);
-        }
-      } catch (e) {
-        console.warn("Could not check if video has audio:", e);
-      }
-    }
-    
-    if (hasSpeed && hasAudio) {
-      // Both speed and audio
-      if (useMixing) {
-        console.log("Step 3: Applying speed and audio mixing to entire video (trimmed + merged)...");
-        await applySpeedWithMixedAudio(
-          currentVideo,
-          audioPath,
-          speedValue,
-          effectsOutputPath,
-          { 
-            ...encodingOptions, 
-            ...(audioOptions || {}),
-            mainAudioIsVideo: mainAudioIsVideo,
-            mainAudioVolume: 1.0,
-            backgroundAudioVolume: backgroundVolume
-          }
-        );
-      } else {
-        console.log("Step 3: Applying speed and audio replacement to entire video (trimmed + merged)...");
-        await applySpeedWithAudio(
-          currentVideo,
-          audioPath,
-          speedValue,
-          effectsOutputPath,
-          { ...encodingOptions, ...(audioOptions || {}) }
-        );
-      }
-    } else if (hasSpeed) {
-      // Only speed
-      console.log("Step 3: Applying speed to entire video (trimmed + merged)...");
-      await applySpeed(currentVideo, speedValue, effectsOutputPath, encodingOptions);
-    } else if (hasAudio) {
-      // Only audio
-      if (useMixing) {
-        console.log("Step 3: Mixing audio in entire video (trimmed + merged)...");
-        await mixAudio(
-          currentVideo,
-          audioPath,
-          effectsOutputPath,
-          { 
-            ...encodingOptions, 
-            ...(audioOptions || {}),
-            mainAudioIsVideo: mainAudioIsVideo,
-            mainAudioVolume: 1.0,
-            backgroundAudioVolume: backgroundVolume
+
+  const jobOptions = { onProgress: options.onProgress, signal: options.signal };
+
+  if (jobOptions.onProgress) jobOptions.onProgress({ step: 'probe', percent: 0, fps: 0, eta: null });
+
+  // Same-camera footage that is only merged is joined as it is: no quality loss and no encoding time
+  // Files probed while planning are not probed again when the edit has to be rendered
+  const metadataCache = new Map();
+  const copyPlan = await planStreamCopy(mainVideo, features, { concurrency, metadataCache });
+  let render;
+  if (copyPlan) {
+    console.log(`Merging ${copyPlan.files.length} files by stream copy`);
+    render = () => renderStreamCopy(copyPlan, outputPath, jobOptions);
+  } else {
+    const { graph, stream, effectsPass, clipEnds } = await buildEditGraph(mainVideo, features, { concurrency, metadataCache, onProgress: jobOptions.onProgress, isPreview });
+    console.log(`Filtergraph compiled: ${graph.inputs.length} inputs, ${graph.filters.length} filters, ${stream.duration}s`);
+    if (effectsPass) {
+      // Long reverse ranges: the edit is written losslessly first, its chunks are reversed one at a time,
+      // then the parts are joined and the speed effects applied
+      const intermediatePath = path.join(os.tmpdir(), `framenext_pass_${Date.now()}.mkv`);
+      render = async () => {
+        const tempFiles = [intermediatePath];
+        try {
+          await renderIntermediate(graph, stream, intermediatePath, concurrency, passOptions({ ...jobOptions, clipEnds }, 0, 30));
+          const pass = await planEffectsPass(intermediatePath, features);
+          for (const [i, chunk] of pass.chunks.entries()) {
+            chunk.part.file = path.join(os.tmpdir(), `framenext_chunk_${Date.now()}_${i}.mkv`);
+            tempFiles.push(chunk.part.file);
+            const from = 30 + (50 * i) / pass.chunks.length;
+            await renderIntermediate(chunk.graph, chunk.stream, chunk.part.file, concurrency, passOptions(jobOptions, from, from + 50 / pass.chunks.length));
           }
-        );
-      } else {
-        console.log("Step 3: Replacing audio in entire video (trimmed + merged)...");
-        await replaceAudio(currentVideo, audioPath, effectsOutputPath, { ...encodingOptions, ...(audioOptions || {}) });
-      }
+          const effects = buildEffectsGraph(pass, features, { isPreview });
+          console.log(`Effects filtergraph compiled: ${effects.graph.inputs.length} inputs, ${effects.graph.filters.length} filters`);
+          return await renderGraph(effects.graph, effects.stream, outputPath, encodingOptions, passOptions(jobOptions, 80, 100));
+        } finally {
+          cleanupTempFiles(tempFiles);
+        }
+      };
     } else {
-      // No speed, no audio - just copy
-      console.log("Step 3: Copying video (no speed/audio)...");
-      const ffmpeg = require("fluent-ffmpeg");
-      await new Promise((resolve, reject) => {
-        ffmpeg(currentVideo)
-          .outputOptions(['-c', 'copy'])
-          .output(effectsOutputPath)
-          .on('end', resolve)
-          .on('error', reject)
-          .run();
-      });
+      render = () => renderGraph(graph, stream, outputPath, encodingOptions, { ...jobOptions, clipEnds });
     }
-    
-    return outputPath;
+  }
+
+  try {
+    return await render();
   } catch (error) {
-    cleanupTempFiles(tempFiles);
+    // Don't leave a half-written file behind
+    cleanupTempFiles([outputPath]);
     throw error;
-  } finally {
-    cleanupTempFiles(tempFiles);
   }
 }
 
 module.exports = { processVideoPipeline };
-
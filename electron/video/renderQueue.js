@@ -0,0 +1,254 @@
+const fs = require("fs");
+const path = require("path");
+const { processVideoPipeline } = require("./pipeline");
+const { validateFeatures, formatValidationErrors } = require("./schema");
+const { ensureDirectoryExists } = require("../utils/fileUtils");
+const { getSettings } = require("../utils/settingsUtils");
+
+const QUEUE_FILE_VERSION = 1;
+
+const JOB_STATES = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  DONE: "done",
+  FAILED: "failed",
+  CANCELLED: "cancelled"
+};
+
+let jobs = [];
+let storePath = null;
+let paused = false;
+let running = null; // { id, controller }
+let jobCounter = 0;
+let listeners = {
+  onChange: () => {},
+  onProgress: () => {}
+};
+
+/**
+ * Loads the persisted queue and registers change listeners
+ * Jobs that were running when the app closed are marked failed so they can be retried;
+ * if unfinished jobs remain, the queue starts paused until the user resumes it
+ * @param {string} filePath - Path of the queue file (in the app's userData folder)
+ * @param {Object} callbacks - {onChange(state), onProgress(progress)}
+ */
+function initRenderQueue(filePath, callbacks = {}) {
+  storePath = filePath;
+  listeners = { ...listeners, ...callbacks };
+  jobs = [];
+
+  try {
+    if (fs.existsSync(storePath)) {
+      const data = JSON.parse(fs.readFileSync(storePath, "utf8"));
+      jobs = Array.isArray(data.jobs) ? data.jobs : [];
+    }
+  } catch (e) {
+    console.error("Error loading render queue:", e);
+  }
+
+  jobs.forEach(job => {
+    if (job.state === JOB_STATES.RUNNING) {
+      job.state = JOB_STATES.FAILED;
+      job.error = "Interrupted when the app was closed";
+    }
+    job.progress = null;
+  });
+  paused = jobs.some(job => job.state === JOB_STATES.QUEUED);
+
+  persistQueue();
+}
+
+/**
+ * Writes the queue to disk (progress is transient and not persisted)
+ */
+function persistQueue() {
+  if (!storePath) return;
+  try {
+    ensureDirectoryExists(path.dirname(storePath));
+    const data = {
+      version: QUEUE_FILE_VERSION,
+      jobs: jobs.map(job => ({ ...job, progress: undefined }))
+    };
+    fs.writeFileSync(storePath, JSON.stringify(data, null, 2), "utf8");
+  } catch (e) {
+    console.error("Error saving render queue:", e);
+  }
+}
+
+/**
+ * Returns a snapshot of the queue for the renderer
+ * @returns {Object} {jobs, paused}
+ */
+function getQueueState() {
+  return {
+    jobs: jobs.map(job => ({ ...job })),
+    paused
+  };
+}
+
+/**
+ * Persists the queue and notifies listeners
+ */
+function notifyChange() {
+  persistQueue();
+  listeners.onChange(getQueueState());
+}
+
+/**
+ * Finds a job by id
+ * @param {string} jobId - Job id
+ * @returns {Object|undefined} Job
+ */
+function findJob(jobId) {
+  return jobs.find(job => job.id === jobId);
+}
+
+/**
+ * Adds an export job to the queue and starts it if nothing is running
+ * @param {Object} request - {mainVideo, features, outputPath}
+ * @returns {Object} The queued job
+ */
+function enqueueJob({ mainVideo, features, outputPath }) {
+  jobCounter++;
+  const job = {
+    id: `job_${Date.now()}_${jobCounter}`,
+    state: JOB_STATES.QUEUED,
+    mainVideo,
+    features,
+    outputPath,
+    error: null,
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    progress: null
+  };
+  jobs.push(job);
+  notifyChange();
+  processNext();
+  return { ...job };
+}
+
+/**
+ * Runs the next queued job, one at a time
+ */
+async function processNext() {
+  if (running || paused) return;
+
+  const job = jobs.find(j => j.state === JOB_STATES.QUEUED);
+  if (!job) return;
+
+  const controller = new AbortController();
+  running = { id: job.id, controller };
+  job.state = JOB_STATES.RUNNING;
+  job.error = null;
+  notifyChange();
+
+  const onProgress = (progress) => {
+    job.progress = progress;
+    listeners.onProgress({ jobId: job.id, ...progress });
+  };
+
+  try {
+    // Re-checked when the job runs: media may have moved since it was queued
+    const { features, errors } = validateFeatures(job.features);
+    if (errors.length > 0) {
+      throw new Error(`Invalid edit:\n${formatValidationErrors(errors)}`);
+    }
+    await processVideoPipeline(job.mainVideo, features, job.outputPath, {
+      isPreview: false,
+      onProgress,
+      signal: controller.signal,
+      concurrency: getSettings().renderThreads || null
+    });
+    job.state = JOB_STATES.DONE;
+  } catch (error) {
+    if (controller.signal.aborted) {
+      job.state = JOB_STATES.CANCELLED;
+    } else {
+      console.error(`Render job ${job.id} failed:`, error);
+      job.state = JOB_STATES.FAILED;
+      job.error = error.message;
+    }
+  } finally {
+    job.progress = null;
+    job.finishedAt = new Date().toISOString();
+    running = null;
+    notifyChange();
+    processNext();
+  }
+}
+
+/**
+ * Cancels a queued or running job
+ * @param {string} jobId - Job id
+ * @returns {boolean} True if the job was found and cancelled
+ */
+function cancelQueuedJob(jobId) {
+  const job = findJob(jobId);
+  if (!job) return false;
+
+  if (job.state === JOB_STATES.QUEUED) {
+    job.state = JOB_STATES.CANCELLED;
+    job.finishedAt = new Date().toISOString();
+    notifyChange();
+    return true;
+  }
+  if (job.state === JOB_STATES.RUNNING && running && running.id === jobId) {
+    // processNext records the cancelled state once ffmpeg has exited
+    running.controller.abort();
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Puts a failed or cancelled job back in the queue
+ * @param {string} jobId - Job id
+ * @returns {boolean} True if the job was re-queued
+ */
+function retryJob(jobId) {
+  const job = findJob(jobId);
+  if (!job || (job.state !== JOB_STATES.FAILED && job.state !== JOB_STATES.CANCELLED)) {
+    return false;
+  }
+
+  job.state = JOB_STATES.QUEUED;
+  job.error = null;
+  job.finishedAt = null;
+  notifyChange();
+  processNext();
+  return true;
+}
+
+/**
+ * Removes a job that is not running from the queue
+ * @param {string} jobId - Job id
+ * @returns {boolean} True if the job was removed
+ */
+function removeJob(jobId) {
+  const job = findJob(jobId);
+  if (!job || job.state === JOB_STATES.RUNNING) return false;
+
+  jobs = jobs.filter(j => j.id !== jobId);
+  notifyChange();
+  return true;
+}
+
+/**
+ * Resumes a paused queue (after restoring unfinished jobs from disk)
+ */
+function resumeQueue() {
+  paused = false;
+  notifyChange();
+  processNext();
+}
+
+module.exports = {
+  JOB_STATES,
+  initRenderQueue,
+  getQueueState,
+  enqueueJob,
+  cancelQueuedJob,
+  retryJob,
+  removeJob,
+  resumeQueue
+};
@@ -0,0 +1,155 @@
+const { addInput, nextLabel, addFilter, silence, splitPad, splitStream, cutStream, timelinePieces, concatStreams } = require("./graph");
+const { trimFragment } = require("./trim");
+
+// reverse/areverse hold every frame they are given in memory, so longer ranges are reversed in chunks of at most this length
+const REVERSE_CHUNK_SECONDS = 10;
+
+/**
+ * Plays a stream backwards
+ * @param {Object} graph - Graph state
+ * @param {Object} stream - Stream {v, a, duration, fps, hasAudio}
+ * @param {string} audio - 'reverse' or 'mute'
+ * @returns {Object} Reversed stream
+ */
+function reverseStream(graph, stream, audio) {
+  const v = nextLabel(graph, "vrev");
+  addFilter(graph, `[${stream.v}]reverse,setpts=PTS-STARTPTS[${v}]`);
+
+  let a;
+  if (audio === "mute") {
+    splitPad(graph, stream.a, 0, "a");
+    a = silence(graph, stream.duration);
+  } else {
+    a = nextLabel(graph, "arev");
+    addFilter(graph, `[${stream.a}]areverse,asetpts=PTS-STARTPTS[${a}]`);
+  }
+  return { ...stream, v, a };
+}
+
+/**
+ * Replaces the audio of a stream with silence
+ * @param {Object} graph - Graph state
+ * @param {Object} stream - Stream {v, a, duration, fps, hasAudio}
+ * @returns {Object} Silent stream
+ */
+function muteStream(graph, stream) {
+  splitPad(graph, stream.a, 0, "a");
+  return { ...stream, a: silence(graph, stream.duration) };
+}
+
+/**
+ * Lists the parts of the output in play order, as ranges of the input timeline
+ * A reversed range is played as its chunks from last to first, each reversed; a boomerang plays the range forwards first
+ * @param {number} duration - Input duration in seconds
+ * @param {Object[]} effects - Effects, see reverseFragment
+ * @returns {Object[]} Parts [{start, end, reverse, audio}], audio is null for parts that keep theirs
+ */
+function planReverse(duration, effects) {
+  const parts = [];
+  timelinePieces(duration, effects).forEach(piece => {
+    const end = piece.end ?? duration;
+    if (!piece.range) {
+      parts.push({ start: piece.start, end, reverse: false, audio: null });
+      return;
+    }
+    const { effect, audio } = piece.range;
+    if (effect === "boomerang") {
+      parts.push({ start: piece.start, end, reverse: false, audio: audio === "mute" ? "mute" : null });
+    }
+    const count = Math.ceil((end - piece.start) / REVERSE_CHUNK_SECONDS);
+    for (let i = count - 1; i >= 0; i--) {
+      const chunkStart = piece.start + i * REVERSE_CHUNK_SECONDS;
+      parts.push({ start: chunkStart, end: Math.min(chunkStart + REVERSE_CHUNK_SECONDS, end), reverse: true, audio });
+    }
+  });
+  return parts;
+}
+
+/**
+ * Checks whether the effects can be applied inside the edit's filtergraph
+ * A range longer than one chunk cannot: all of its chunks would wait in memory for the last one to be reversed,
+ * so it needs the edit written to a file first and every chunk reversed on its own, see reverseChunkFragment
+ * @param {number} duration - Input duration in seconds
+ * @param {Object[]} effects - Effects, see reverseFragment
+ * @returns {boolean} True if every range fits in one chunk
+ */
+function fitsInGraph(duration, effects) {
+  return timelinePieces(duration, effects)
+    .every(piece => !piece.range || (piece.end ?? duration) - piece.start <= REVERSE_CHUNK_SECONDS);
+}
+
+/**
+ * Turns cut parts into the output: reversed or muted as planned, then joined
+ * @param {Object} graph - Graph state
+ * @param {Object[]} parts - Parts from planReverse
+ * @param {Object[]} streams - The cut stream of each part
+ * @returns {Object} Resulting stream
+ */
+function joinParts(graph, parts, streams) {
+  return concatStreams(graph, parts.map((part, i) => {
+    if (part.reverse) return reverseStream(graph, streams[i], part.audio);
+    return part.audio === "mute" ? muteStream(graph, streams[i]) : streams[i];
+  }));
+}
+
+/**
+ * Applies reverse and boomerang effects to ranges of a stream, leaving the rest as it is
+ * Only for effects that fit in the graph, see fitsInGraph
+ * @param {Object} graph - Graph state
+ * @param {Object} stream - Stream {v, a, duration, fps, hasAudio}
+ * @param {Object[]} effects - [{start, end, effect, audio}] in stream time, not overlapping
+ *   end - End of the range, or null for the end of the stream
+ *   effect - 'reverse' or 'boomerang' (the range plays forwards, then backwards)
+ *   audio - 'reverse' or 'mute'
+ * @returns {Object} Resulting stream
+ */
+function reverseFragment(graph, stream, effects) {
+  const parts = planReverse(stream.duration, effects);
+  if (parts.length === 0) return stream;
+
+  const copies = splitStream(graph, stream, parts.length);
+  return joinParts(graph, parts, parts.map((part, i) => cutStream(graph, copies[i], part.start, part.end)));
+}
+
+/**
+ * Reads a range of a rendered file as a stream of its own
+ * @param {Object} graph - Graph state
+ * @param {Object} source - Probed file from probeSource {path, duration, hasAudio, props}
+ * @param {string} filePath - File to read (the source itself or a file with the same props)
+ * @param {number} start - Range start in seconds
+ * @param {number} end - Range end in seconds
+ * @returns {Object} Stream of the range
+ */
+function readRange(graph, source, filePath, start, end) {
+  const input = { ...source, index: addInput(graph, filePath, ['-ss', String(start), '-t', String(end - start)]) };
+  return trimFragment(graph, input, 0, end - start, source.props);
+}
+
+/**
+ * Reverses one chunk of a rendered file, to be rendered on its own
+ * ffmpeg reads all inputs of a graph side by side, so chunks sharing a graph would all wait in memory
+ * @param {Object} graph - Graph state
+ * @param {Object} source - Probed file from probeSource {path, duration, hasAudio, props}
+ * @param {Object} part - Reversed part from planReverse
+ * @returns {Object} Reversed stream
+ */
+function reverseChunkFragment(graph, source, part) {
+  return reverseStream(graph, readRange(graph, source, source.path, part.start, part.end), part.audio);
+}
+
+/**
+ * Joins the parts of a rendered file with its reversed chunks, for effects that do not fit in the graph
+ * @param {Object} graph - Graph state
+ * @param {Object} source - Probed file from probeSource {path, duration, hasAudio, props}
+ * @param {Object[]} parts - Parts from planReverse, reversed ones with file set to their rendered chunk
+ * @returns {Object} Resulting stream
+ */
+function joinChunksFragment(graph, source, parts) {
+  return concatStreams(graph, parts.map(part => {
+    if (part.reverse) return readRange(graph, source, part.file, 0, part.end - part.start);
+    const stream = readRange(graph, source, source.path, part.start, part.end);
+    return part.audio === "mute" ? muteStream(graph, stream) : stream;
+  }));
+}
+
+module.exports = { planReverse, fitsInGraph, reverseFragment, reverseChunkFragment, joinChunksFragment };
@@ -0,0 +1,616 @@
+const fs = require("fs");
+const { normalizePath } = require("../utils/pathUtils");
+
+const SPEED_MIN = 0.1;
+const SPEED_MAX = 16;
+const SPEED_PITCH_MODES = ["preserve", "follow"];
+const INTERPOLATION_MODES = ["none", "blend", "motion"];
+const REVERSE_EFFECTS = ["reverse", "boomerang"];
+const REVERSE_AUDIO_MODES = ["reverse", "mute"];
+const FREEZE_AUDIO_MODES = ["silent", "continue"];
+const FREEZE_MAX_SECONDS = 60;
+
+const TRIM_MODES = ["keep", "cut"];
+const MERGE_TRANSITION_TYPES = ["crossfade", "fadeblack", "wipe", "slide"];
+const INSERT_TRANSITION_TYPES = ["crossfade", "fadeblack", "audio"];
+const TRANSITION_MAX_SECONDS = 5;
+const MERGE_TARGETS = ["main", "largest", "custom"];
+const MERGE_FIT_MODES = ["letterbox", "crop", "blur"];
+const OUTPUT_SIZE_MIN = 16;
+const OUTPUT_SIZE_MAX = 7680;
+const OUTPUT_FPS_MAX = 120;
+const INSERT_MODES = ["sequential", "overlapping", "pip"];
+const PIP_AUDIO_MODES = ["mix", "replace", "mute"];
+const PIP_SCALE_MIN = 0.1;
+const AUDIO_PLACEMENTS = ["audio_priority", "video_priority", "custom"];
+const AUDIO_MODES = ["replace", "mix_inserted_main", "mix_video_main"];
+
+/**
+ * Collects field-level errors while a payload is validated
+ * @returns {Object} {errors, add(field, message)}
+ */
+function createErrorList() {
+  const errors = [];
+  return {
+    errors,
+    add: (field, message) => errors.push({ field, message })
+  };
+}
+
+/**
+ * Checks a value is a finite number
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a finite number
+ */
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Reads an optional number field, recording an error if it is set but invalid
+ * @param {Object} list - Error list from createErrorList
+ * @param {string} field - Field name used in errors
+ * @param {*} value - Field value
+ * @param {number} defaultValue - Value used when the field is missing
+ * @param {Object} range - {min, max, exclusiveMin}
+ * @returns {number} Field value or defaultValue
+ */
+function readNumber(list, field, value, defaultValue, { min = -Infinity, max = Infinity, exclusiveMin = false } = {}) {
+  if (value === undefined || value === null) return defaultValue;
+  if (!isNumber(value)) {
+    list.add(field, "Must be a number");
+    return defaultValue;
+  }
+  if (exclusiveMin ? value <= min : value < min) {
+    list.add(field, exclusiveMin ? `Must be greater than ${min}` : `Must be ${min} or more`);
+  } else if (value > max) {
+    list.add(field, `Must be ${max} or less`);
+  }
+  return value;
+}
+
+/**
+ * Reads an optional enum field, recording an error if it is not one of the allowed values
+ * @param {Object} list - Error list from createErrorList
+ * @param {string} field - Field name used in errors
+ * @param {*} value - Field value
+ * @param {string[]} allowed - Allowed values (the first is the default)
+ * @returns {string} Field value or the default
+ */
+function readEnum(list, field, value, allowed) {
+  if (value === undefined || value === null) return allowed[0];
+  if (!allowed.includes(value)) {
+    list.add(field, `Must be one of: ${allowed.join(", ")}`);
+    return allowed[0];
+  }
+  return value;
+}
+
+/**
+ * Reads a required media path, recording an error if it is missing or the file does not exist
+ * @param {Object} list - Error list from createErrorList
+ * @param {string} field - Field name used in errors
+ * @param {*} value - Field value (may have file:// prefix)
+ * @returns {string|null} Normalized absolute path, or null if invalid
+ */
+function readMediaPath(list, field, value) {
+  if (typeof value !== 'string' || value.trim() === "") {
+    list.add(field, "A file is required");
+    return null;
+  }
+  const mediaPath = normalizePath(value);
+  if (!fs.existsSync(mediaPath)) {
+    list.add(field, `File not found: ${mediaPath}`);
+    return null;
+  }
+  return mediaPath;
+}
+
+/**
+ * Validates one kept range of the base clip
+ * @param {Object} list - Error list from createErrorList
+ * @param {string} field - Field name used in errors
+ * @param {*} segment - Range {start, end}
+ * @returns {Object|null} Normalized {start, end}, or null if invalid
+ */
+function validateSegment(list, field, segment) {
+  if (!segment || typeof segment !== 'object') {
+    list.add(field, "Must be an object with start and end");
+    return null;
+  }
+
+  const start = readNumber(list, `${field}.start`, segment.start, 0, { min: 0 });
+  if (!isNumber(segment.end)) {
+    list.add(`${field}.end`, "Must be a number");
+    return null;
+  }
+  if (segment.end <= start) {
+    list.add(`${field}.end`, "Must be after the start time");
+    return null;
+  }
+  return { start, end: segment.end };
+}
+
+/**
+ * Validates the trim feature
+ * Segments are kept ("keep" mode) or removed ("cut" mode)
+ * Older payloads send a single {start, end} range instead of a segment list
+ * @param {Object} list - Error list from createErrorList
+ * @param {*} trim - Value sent by the renderer
+ * @returns {Object|null} Normalized {mode, segments: [{start, end}]}, or null if not set
+ */
+function validateTrim(list, trim) {
+  if (trim === undefined || trim === null) return null;
+  if (typeof trim !== 'object') {
+    list.add("trim", "Must be an object with segments");
+    return null;
+  }
+
+  if (!Array.isArray(trim.segments)) {
+    const segment = validateSegment(list, "trim", trim);
+    return segment ? { mode: "keep", segments: [segment] } : null;
+  }
+
+  const mode = readEnum(list, "trim.mode", trim.mode, TRIM_MODES);
+  const segments = trim.segments.map((segment, i) => validateSegment(list, `trim.segments[${i}]`, segment));
+  return segments.length > 0 ? { mode, segments } : null;
+}
+
+/**
+ * Validates a transition between two clips
+ * @param {Object} list - Error list from createErrorList
+ * @param {string} field - Field name used in errors
+ * @param {*} transition - {type, duration}
+ * @param {string[]} types - Allowed transition types (the first is the default)
+ * @returns {Object|null} Normalized {type, duration}, or null for a hard cut
+ */
+function validateTransition(list, field, transition, types) {
+  if (transition === undefined || transition === null) return null;
+  if (typeof transition !== 'object') {
+    list.add(field, "Must be an object with a type");
+    return null;
+  }
+
+  return {
+    type: readEnum(list, `${field}.type`, transition.type, types),
+    duration: readNumber(list, `${field}.duration`, transition.duration, 1, { min: 0, max: TRANSITION_MAX_SECONDS, exclusiveMin: true })
+  };
+}
+
+/**
+ * Validates the merge feature
+ * The list may hold one {main: true} entry marking where the main video plays; without it the main video comes first
+ * @param {Object} list - Error list from createErrorList
+ * @param {*} merge - Value sent by the renderer
+ * @returns {Object[]|null} Normalized list of {path, name, start, end, fit, transition} and {main, fit, transition},
+ *   or null if there are no clips
+ */
+function validateMerge(list, merge) {
+  if (merge === undefined || merge === null) return null;
+  if (!Array.isArray(merge)) {
+    list.add("merge", "Must be a list of clips");
+    return null;
+  }
+
+  let mainCount = 0;
+  const clips = merge.map((clip, i) => {
+    const field = `merge[${i}]`;
+    if (!clip || typeof clip !== 'object') {
+      list.add(field, "Must be an object with a path");
+      return null;
+    }
+    const transition = validateTransition(list, `${field}.transition`, clip.transition, MERGE_TRANSITION_TYPES);
+    const fit = readEnum(list, `${field}.fit`, clip.fit, MERGE_FIT_MODES);
+    if (clip.main) {
+      mainCount++;
+      if (mainCount > 1) list.add(field, "The main video can only appear once");
+      return { main: true, fit, transition };
+    }
+
+    const clipPath = readMediaPath(list, `${field}.path`, clip.path);
+    const start = readNumber(list, `${field}.start`, clip.start, 0, { min: 0 });
+    const end = readNumber(list, `${field}.end`, clip.end, null, { min: 0 });
+    if (end !== null && end <= start) {
+      list.add(`${field}.end`, "Must be after the start time");
+    }
+    return {
+      path: clipPath,
+      name: typeof clip.name === 'string' ? clip.name : clipPath,
+      start,
+      end,
+      fit,
+      transition
+    };
+  });
+  return clips.some(clip => clip && !clip.main) ? clips : null;
+}
+
+/**
+ * Validates the merge output setting (the size and frame rate every merged part is conformed to)
+ * @param {Object} list - Error list from createErrorList
+ * @param {*} output - Value sent by the renderer
+ * @returns {Object|null} Normalized {target, width, height, fps}, or null to match the main video
+ */
+function validateMergeOutput(list, output) {
+  if (output === undefined || output === null) return null;
+  if (typeof output !== 'object') {
+    list.add("mergeOutput", "Must be an object with a target");
+    return null;
+  }
+
+  const target = readEnum(list, "mergeOutput.target", output.target, MERGE_TARGETS);
+  if (target !== "custom") return { target, width: null, height: null, fps: null };
+
+  const sizeRange = { min: OUTPUT_SIZE_MIN, max: OUTPUT_SIZE_MAX };
+  const width = readNumber(list, "mergeOutput.width", output.width, null, sizeRange);
+  const height = readNumber(list, "mergeOutput.height", output.height, null, sizeRange);
+  if (width === null) list.add("mergeOutput.width", "Required for a custom output");
+  if (height === null) list.add("mergeOutput.height", "Required for a custom output");
+  return {
+    target,
+    width,
+    height,
+    fps: readNumber(list, "mergeOutput.fps", output.fps, null, { min: 0, max: OUTPUT_FPS_MAX, exclusiveMin: true })
+  };
+}
+
+/**
+ * Reads an optional #rrggbb color field, recording an error if it is set but invalid
+ * @param {Object} list - Error list from createErrorList
+ * @param {string} field - Field name used in errors
+ * @param {*} value - Field value
+ * @param {string} defaultValue - Value used when the field is missing
+ * @returns {string} Field value or defaultValue
+ */
+function readColor(list, field, value, defaultValue) {
+  if (value === undefined || value === null) return defaultValue;
+  if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) {
+    list.add(field, "Must be a color like #ffffff");
+    return defaultValue;
+  }
+  return value;
+}
+
+/**
+ * Validates the chroma key of a PiP insert
+ * @param {Object} list - Error list from createErrorList
+ * @param {string} field - Field name used in errors
+ * @param {*} key - Key options
+ * @returns {Object|null} Normalized {color, similarity, blend}, or null if not set
+ */
+function validateChromaKey(list, field, key) {
+  if (key === undefined || key === null) return null;
+  if (typeof key !== 'object') {
+    list.add(field, "Must be an object with a color");
+    return null;
+  }
+
+  return {
+    color: readColor(list, `${field}.color`, key.color, "#00ff00"),
+    similarity: readNumber(list, `${field}.similarity`, key.similarity, 0.1, { min: 0.01, max: 1 }),
+    blend: readNumber(list, `${field}.blend`, key.blend, 0, { min: 0, max: 1 })
+  };
+}
+
+/**
+ * Validates the picture-in-picture window of an insert
+ * @param {Object} list - Error list from createErrorList
+ * @param {string} field - Field name used in errors
+ * @param {*} pip - Window options
+ * @returns {Object} Normalized {x, y, scale, border, borderColor, rounded, chromaKey, audio}
+ */
+function validatePip(list, field, pip) {
+  if (pip === undefined || pip === null) pip = {};
+  if (typeof pip !== 'object') {
+    list.add(field, "Must be an object");
+    pip = {};
+  }
+
+  return {
+    x: readNumber(list, `${field}.x`, pip.x, 0.95, { min: 0, max: 1 }),
+    y: readNumber(list, `${field}.y`, pip.y, 0.95, { min: 0, max: 1 }),
+    scale: readNumber(list, `${field}.scale`, pip.scale, 0.3, { min: PIP_SCALE_MIN, max: 1 }),
+    border: readNumber(list, `${field}.border`, pip.border, 0, { min: 0, max: 50 }),
+    borderColor: readColor(list, `${field}.borderColor`, pip.borderColor, "#ffffff"),
+    rounded: Boolean(pip.rounded),
+    chromaKey: validateChromaKey(list, `${field}.chromaKey`, pip.chromaKey),
+    audio: readEnum(list, `${field}.audio`, pip.audio, PIP_AUDIO_MODES)
+  };
+}
+
+/**
+ * Validates the insert feature
+ * Older payloads send a single insert object instead of a list
+ * @param {Object} list - Error list from createErrorList
+ * @param {*} insert - Value sent by the renderer
+ * @returns {Object[]|null} Normalized list of {video, position, seconds, sourceStart, mode, pip, transitionIn, transitionOut},
+ *   or null if not set
+ */
+function validateInsert(list, insert) {
+  if (insert === undefined || insert === null) return null;
+  const inserts = Array.isArray(insert) ? insert : [insert];
+
+  const clips = inserts.map((clip, i) => {
+    const field = `insert[${i}]`;
+    if (!clip || typeof clip !== 'object') {
+      list.add(field, "Must be an object with a video");
+      return null;
+    }
+    const mode = readEnum(list, `${field}.mode`, clip.mode, INSERT_MODES);
+    return {
+      video: readMediaPath(list, `${field}.video`, clip.video),
+      position: readNumber(list, `${field}.position`, clip.position, 0, { min: 0 }),
+      seconds: readNumber(list, `${field}.seconds`, clip.seconds, 5, { min: 0, exclusiveMin: true }),
+      sourceStart: readNumber(list, `${field}.sourceStart`, clip.sourceStart, 0, { min: 0 }),
+      mode,
+      pip: mode === "pip" ? validatePip(list, `${field}.pip`, clip.pip) : null,
+      transitionIn: mode !== "pip" ? validateTransition(list, `${field}.transitionIn`, clip.transitionIn, INSERT_TRANSITION_TYPES) : null,
+      transitionOut: mode !== "pip" ? validateTransition(list, `${field}.transitionOut`, clip.transitionOut, INSERT_TRANSITION_TYPES) : null
+    };
+  });
+  return clips.length > 0 ? clips : null;
+}
+
+/**
+ * Validates the freeze frames
+ * @param {Object} list - Error list from createErrorList
+ * @param {*} freezeFrames - Value sent by the renderer
+ * @returns {Object[]|null} Normalized list of {position, duration, audio}, or null if there are none
+ */
+function validateFreezeFrames(list, freezeFrames) {
+  if (freezeFrames === undefined || freezeFrames === null) return null;
+  if (!Array.isArray(freezeFrames)) {
+    list.add("freezeFrames", "Must be a list of freeze frames");
+    return null;
+  }
+
+  const normalized = freezeFrames.map((freeze, i) => {
+    const field = `freezeFrames[${i}]`;
+    if (!freeze || typeof freeze !== 'object') {
+      list.add(field, "Must be an object with a position");
+      return null;
+    }
+    return {
+      position: readNumber(list, `${field}.position`, freeze.position, 0, { min: 0 }),
+      duration: readNumber(list, `${field}.duration`, freeze.duration, 2, { min: 0, max: FREEZE_MAX_SECONDS, exclusiveMin: true }),
+      audio: readEnum(list, `${field}.audio`, freeze.audio, FREEZE_AUDIO_MODES)
+    };
+  });
+  return normalized.length > 0 ? normalized : null;
+}
+
+/**
+ * Validates the speed feature
+ * @param {Object} list - Error list from createErrorList
+ * @param {*} speed - Value sent by the renderer
+ * @returns {number|null} Speed factor, or null for 1x or if not set
+ */
+function validateSpeed(list, speed) {
+  if (speed === undefined || speed === null) return null;
+  const value = readNumber(list, "speed", speed, 1.0, { min: SPEED_MIN, max: SPEED_MAX });
+  return value !== 1.0 ? value : null;
+}
+
+/**
+ * Validates how audio follows speed changes
+ * @param {Object} list - Error list from createErrorList
+ * @param {*} speedAudio - Value sent by the renderer
+ * @returns {Object|null} Normalized {pitch, muteExtreme}, or null for the defaults
+ */
+function validateSpeedAudio(list, speedAudio) {
+  if (speedAudio === undefined || speedAudio === null) return null;
+  if (typeof speedAudio !== 'object') {
+    list.add("speedAudio", "Must be an object with a pitch mode");
+    return null;
+  }
+  return {
+    pitch: readEnum(list, "speedAudio.pitch", speedAudio.pitch, SPEED_PITCH_MODES),
+    muteExtreme: speedAudio.muteExtreme === true
+  };
+}
+
+/**
+ * Validates how slowed video is filled in
+ * @param {Object} list - Error list from createErrorList
+ * @param {*} speedVideo - Value sent by the renderer
+ * @returns {Object|null} Normalized {interpolation}, or null to repeat frames
+ */
+function validateSpeedVideo(list, speedVideo) {
+  if (speedVideo === undefined || speedVideo === null) return null;
+  if (typeof speedVideo !== 'object') {
+    list.add("speedVideo", "Must be an object with an interpolation mode");
+    return null;
+  }
+  return {
+    interpolation: readEnum(list, "speedVideo.interpolation", speedVideo.interpolation, INTERPOLATION_MODES)
+  };
+}
+
+/**
+ * Validates the speed ranges (parts of the edited timeline played faster or slower)
+ * @param {Object} list - Error list from createErrorList
+ * @param {*} ranges - Value sent by the renderer
+ * @returns {Object[]|null} Normalized list of {start, end, speed, endSpeed}, or null if there are none
+ */
+function validateSpeedRanges(list, ranges) {
+  if (ranges === undefined || ranges === null) return null;
+  if (!Array.isArray(ranges)) {
+    list.add("speedRanges", "Must be a list of ranges");
+    return null;
+  }
+
+  const speedRange = { min: SPEED_MIN, max: SPEED_MAX };
+  const normalized = ranges.map((range, i) => {
+    const field = `speedRanges[${i}]`;
+    if (!range || typeof range !== 'object') {
+      list.add(field, "Must be an object with start, end and speed");
+      return null;
+    }
+    const start = readNumber(list, `${field}.start`, range.start, 0, { min: 0 });
+    const end = readNumber(list, `${field}.end`, range.end, null, { min: 0 });
+    if (end === null) {
+      list.add(`${field}.end`, "Required");
+    } else if (end <= start) {
+      list.add(`${field}.end`, "Must be after the start time");
+    }
+    if (range.speed === undefined || range.speed === null) list.add(`${field}.speed`, "Required");
+    return {
+      start,
+      end,
+      speed: readNumber(list, `${field}.speed`, range.speed, 1.0, speedRange),
+      endSpeed: readNumber(list, `${field}.endSpeed`, range.endSpeed, null, speedRange)
+    };
+  });
+
+  // Each part of the timeline has one speed
+  checkOverlaps(list, "speedRanges", normalized, "Overlaps another speed range");
+  return normalized.length > 0 ? normalized : null;
+}
+
+/**
+ * Records an error on every range that starts inside an earlier one
+ * @param {Object} list - Error list from createErrorList
+ * @param {string} field - List field name used in errors
+ * @param {Object[]} ranges - Normalized ranges [{start, end}] (end null = until the end), invalid entries are skipped
+ * @param {string} message - Error message
+ */
+function checkOverlaps(list, field, ranges, message) {
+  let coveredUntil = 0;
+  ranges
+    .map((range, i) => ({ range, i, end: range && range.end !== null ? range.end : Infinity }))
+    .filter(({ range, end }) => range && end > range.start)
+    .sort((a, b) => a.range.start - b.range.start)
+    .forEach(({ range, i, end }) => {
+      if (range.start < coveredUntil) {
+        list.add(`${field}[${i}].start`, message);
+      }
+      coveredUntil = Math.max(coveredUntil, end);
+    });
+}
+
+/**
+ * Validates the reverse and boomerang effects
+ * @param {Object} list - Error list from createErrorList
+ * @param {*} effects - Value sent by the renderer
+ * @returns {Object[]|null} Normalized list of {start, end, effect, audio}, or null if there are none
+ */
+function validateReverse(list, effects) {
+  if (effects === undefined || effects === null) return null;
+  if (!Array.isArray(effects)) {
+    list.add("reverse", "Must be a list of ranges");
+    return null;
+  }
+
+  const normalized = effects.map((effect, i) => {
+    const field = `reverse[${i}]`;
+    if (!effect || typeof effect !== 'object') {
+      list.add(field, "Must be an object with an effect");
+      return null;
+    }
+    const start = readNumber(list, `${field}.start`, effect.start, 0, { min: 0 });
+    const end = readNumber(list, `${field}.end`, effect.end, null, { min: 0 });
+    if (end !== null && end <= start) {
+      list.add(`${field}.end`, "Must be after the start time");
+    }
+    return {
+      start,
+      end,
+      effect: readEnum(list, `${field}.effect`, effect.effect, REVERSE_EFFECTS),
+      audio: readEnum(list, `${field}.audio`, effect.audio, REVERSE_AUDIO_MODES)
+    };
+  });
+
+  checkOverlaps(list, "reverse", normalized, "Overlaps another reverse range");
+  return normalized.length > 0 ? normalized : null;
+}
+
+/**
+ * Validates the audio feature
+ * @param {Object} list - Error list from createErrorList
+ * @param {*} audio - Value sent by the renderer
+ * @returns {Object|null} Normalized audio options, or null if not set
+ */
+function validateAudio(list, audio) {
+  if (audio === undefined || audio === null) return null;
+  // Older payloads send the audio path as a string
+  if (typeof audio === 'string') {
+    audio = { path: audio };
+  }
+  if (typeof audio !== 'object') {
+    list.add("audio", "Must be an object with a path");
+    return null;
+  }
+
+  const placement = readEnum(list, "audio.placement", audio.placement, AUDIO_PLACEMENTS);
+  const startTime = readNumber(list, "audio.startTime", audio.startTime, 0, { min: 0 });
+  const endTime = readNumber(list, "audio.endTime", audio.endTime, null, { min: 0 });
+  if (placement === "custom" && (endTime === null || endTime <= startTime)) {
+    list.add("audio.endTime", "Must be after the start time");
+  }
+
+  const trimStart = readNumber(list, "audio.trimStart", audio.trimStart, 0, { min: 0 });
+  const trimEnd = readNumber(list, "audio.trimEnd", audio.trimEnd, null, { min: 0 });
+
+  return {
+    path: readMediaPath(list, "audio.path", audio.path),
+    placement,
+    priority: placement === "audio_priority" ? "audio" : (placement === "video_priority" ? "video" : null),
+    startTime,
+    endTime,
+    trimStart,
+    trimEnd,
+    videoDuration: readNumber(list, "audio.videoDuration", audio.videoDuration, null, { min: 0 }),
+    audioDuration: readNumber(list, "audio.audioDuration", audio.audioDuration, null, { min: 0 }),
+    mode: readEnum(list, "audio.mode", audio.mode, AUDIO_MODES),
+    backgroundAudioVolume: readNumber(list, "audio.backgroundAudioVolume", audio.backgroundAudioVolume, 0.5, { min: 0, max: 1 })
+  };
+}
+
+/**
+ * Validates and normalizes a features payload before it reaches the pipeline
+ * Media paths are normalized and checked to exist; missing optional fields get their defaults
+ * @param {Object} features - Features object with trim, merge, mergeOutput, insert, speed, speedRanges, speedAudio, speedVideo, reverse, freezeFrames, audio
+ * @returns {Object} {features, errors} - errors is a list of {field, message}, empty if the payload is valid
+ */
+function validateFeatures(features) {
+  const list = createErrorList();
+  if (!features || typeof features !== 'object' || Array.isArray(features)) {
+    list.add("features", "Must be an object");
+    return { features: null, errors: list.errors };
+  }
+
+  const normalized = {
+    trim: validateTrim(list, features.trim),
+    merge: validateMerge(list, features.merge),
+    mergeOutput: validateMergeOutput(list, features.mergeOutput),
+    insert: validateInsert(list, features.insert),
+    speed: validateSpeed(list, features.speed),
+    speedRanges: validateSpeedRanges(list, features.speedRanges),
+    speedAudio: validateSpeedAudio(list, features.speedAudio),
+    speedVideo: validateSpeedVideo(list, features.speedVideo),
+    reverse: validateReverse(list, features.reverse),
+    freezeFrames: validateFreezeFrames(list, features.freezeFrames),
+    audio: validateAudio(list, features.audio)
+  };
+
+  return {
+    features: list.errors.length === 0 ? normalized : null,
+    errors: list.errors
+  };
+}
+
+/**
+ * Formats validation errors as one message (for logs and the CLI)
+ * @param {Object[]} errors - Errors from validateFeatures
+ * @returns {string} Message listing each field
+ */
+function formatValidationErrors(errors) {
+  return errors.map(error => `${error.field}: ${error.message}`).join("\n");
+}
+
+module.exports = {
+  SPEED_MIN,
+  SPEED_MAX,
+  validateFeatures,
+  formatValidationErrors
+};
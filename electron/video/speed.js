@@ -1,80 +1,167 @@
-const ffmpeg = require("fluent-ffmpeg");
-const { getVideoMetadata, hasAudioStream, getFrameRate } = require("../utils/videoUtils");
+const { nextLabel, addFilter, silence, splitPad, splitStream, cutStream, timelinePieces, concatStreams } = require("./graph");
+
+// Range a single atempo filter accepts
+const ATEMPO_MIN = 0.5;
+const ATEMPO_MAX = 2;
+// Sample rate of every audio pad (see AUDIO_FORMAT), used to shift the pitch with asetrate
+const SAMPLE_RATE = 44100;
+// Outside these speeds audio is mostly noise; it is muted when audio.muteExtreme is set
+const EXTREME_SPEED_MIN = 0.5;
+const EXTREME_SPEED_MAX = 4;
+// A sped-up stream keeps its frames up to this rate, a slowed one does not drop below this (or its own rate)
+const MAX_OUTPUT_FPS = 60;
+const MIN_OUTPUT_FPS = 24;
+// Motion-compensated interpolation: smooth but slow, see interpolateChain
+const MOTION_INTERPOLATION = "mi_mode=mci:mc_mode=aobmc:me_mode=bidir:vsbmc=1";
+
+// Ramps are rendered as steps of constant speed about this long (atempo cannot change speed smoothly)
+const RAMP_STEP_SECONDS = 0.25;
+const RAMP_MAX_STEPS = 16;
+
+/**
+ * Builds the atempo chain for a speed multiplier
+ * atempo only takes 0.5-2, so other speeds are split into stages whose product is the speed
+ * @param {number} speedValue - Speed multiplier
+ * @returns {string} Filter chain (no pads)
+ */
+function atempoChain(speedValue) {
+  const stages = [];
+  let remaining = speedValue;
+  while (remaining > ATEMPO_MAX) {
+    stages.push(ATEMPO_MAX);
+    remaining /= ATEMPO_MAX;
+  }
+  while (remaining < ATEMPO_MIN) {
+    stages.push(ATEMPO_MIN);
+    remaining /= ATEMPO_MIN;
+  }
+  stages.push(remaining);
+  return stages.map(tempo => `atempo=${Number(tempo.toFixed(6))}`).join(",");
+}
+
+/**
+ * Builds the audio chain that retimes audio by a speed multiplier
+ * @param {number} speedValue - Speed multiplier
+ * @param {string} pitch - 'preserve' (atempo) or 'follow' (resampled, pitch goes up and down with the speed)
+ * @returns {string} Filter chain (no pads)
+ */
+function audioSpeedChain(speedValue, pitch) {
+  if (pitch === "follow") {
+    return `asetrate=${Math.round(SAMPLE_RATE * speedValue)},aresample=${SAMPLE_RATE}`;
+  }
+  return atempoChain(speedValue);
+}
+
+/**
+ * Builds the chain that brings retimed video to its output frame rate
+ * Slowed video is short of frames: 'none' repeats frames, 'blend' crossfades neighbours and
+ * 'motion' estimates the motion between them (best result, many times slower to render)
+ * @param {number} speedValue - Speed multiplier
+ * @param {number} outputFps - Output frame rate
+ * @param {string} interpolation - 'none', 'blend' or 'motion' (only used when slowing down)
+ * @returns {string} Filter chain (no pads)
+ */
+function interpolateChain(speedValue, outputFps, interpolation) {
+  if (speedValue >= 1 || !interpolation || interpolation === "none") return `fps=${outputFps}`;
+  const mode = interpolation === "motion" ? MOTION_INTERPOLATION : "mi_mode=blend";
+  return `minterpolate=fps=${outputFps}:${mode}`;
+}
 
 /**
- * Applies speed effect to video
- * @param {string} videoPath - Input video path
+ * Applies speed effect to a stream (video and audio)
+ * @param {Object} graph - Graph state
+ * @param {Object} stream - Stream {v, a, duration, fps, hasAudio}
  * @param {number} speedValue - Speed multiplier (e.g., 2.0 for 2x speed)
- * @param {string} outputPath - Output file path
- * @param {Object} options - Encoding options {preset, crf, audioBitrate}
- * @returns {Promise<string>} Path to output video
+ * @param {Object} audio - {pitch, muteExtreme}, see retimeStream
+ * @param {Object} video - {interpolation}, see retimeStream
+ * @returns {Object} Sped-up stream
+ */
+function speedFragment(graph, stream, speedValue, audio = {}, video = {}) {
+  // Interpolated slow motion is rendered at the full frame rate
+  const interpolated = speedValue < 1 && video.interpolation && video.interpolation !== "none";
+  const outputFps = interpolated
+    ? stream.fps
+    : Math.max(Math.min(stream.fps, MIN_OUTPUT_FPS), Math.min(stream.fps * speedValue, MAX_OUTPUT_FPS));
+  return retimeStream(graph, stream, speedValue, outputFps, audio, video);
+}
+
+/**
+ * Retimes a stream's video and audio by a speed multiplier
+ * @param {Object} graph - Graph state
+ * @param {Object} stream - Stream {v, a, duration, fps, hasAudio}
+ * @param {number} speedValue - Speed multiplier
+ * @param {number} outputFps - Frame rate of the retimed video
+ * @param {Object} audio - {pitch, muteExtreme}
+ *   pitch - 'preserve' or 'follow', see audioSpeedChain
+ *   muteExtreme - Replace the audio with silence below EXTREME_SPEED_MIN and above EXTREME_SPEED_MAX
+ * @param {Object} video - {interpolation}, how slowed video is filled in, see interpolateChain
+ * @returns {Object} Retimed stream
  */
-async function applySpeed(videoPath, speedValue, outputPath, options = {}) {
-  const preset = options.preset || 'medium';
-  const crf = options.crf || '23';
-  const audioBitrate = options.audioBitrate || '192k';
-  
-  // Get video metadata
-  const meta = await getVideoMetadata(videoPath);
-  const videoHasAudio = hasAudioStream(meta);
-  const originalFps = getFrameRate(meta);
-  const outputFps = originalFps * speedValue;
-  
-  let command = ffmpeg(videoPath);
-  
-  if (videoHasAudio) {
-    const filters = [];
-    filters.push(`[0:v]setpts=${1/speedValue}*PTS,fps=${outputFps}[v]`);
-    
-    // Apply speed to audio
-    if (speedValue > 2) {
-      const tempo1 = 2.0;
-      const tempo2 = speedValue / 2.0;
-      filters.push(`[0:a]atempo=${tempo1},atempo=${tempo2}[a]`);
-    } else {
-      filters.push(`[0:a]atempo=${speedValue}[a]`);
-    }
-    
-    command = command
-      .complexFilter(filters)
-      .outputOptions([
-        '-map', '[v]',
-        '-map', '[a]',
-        '-c:v', 'libx264',
-        '-preset', preset,
-        '-crf', crf,
-        '-r', String(outputFps),
-        '-c:a', 'aac',
-        '-b:a', audioBitrate
-      ]);
+function retimeStream(graph, stream, speedValue, outputFps, audio = {}, video = {}) {
+  const v = nextLabel(graph, "vspd");
+  addFilter(graph, `[${stream.v}]setpts=${1/speedValue}*PTS,${interpolateChain(speedValue, outputFps, video.interpolation)}[${v}]`);
+
+  const duration = stream.duration / speedValue;
+  let a;
+  if (audio.muteExtreme && (speedValue < EXTREME_SPEED_MIN || speedValue > EXTREME_SPEED_MAX)) {
+    splitPad(graph, stream.a, 0, "a");
+    a = silence(graph, duration);
   } else {
-    command = command
-      .videoFilters(`setpts=${1/speedValue}*PTS,fps=${outputFps}`)
-      .outputOptions([
-        '-c:v', 'libx264',
-        '-preset', preset,
-        '-crf', crf,
-        '-r', String(outputFps),
-        '-an'
-      ]);
+    a = nextLabel(graph, "aspd");
+    addFilter(graph, `[${stream.a}]${audioSpeedChain(speedValue, audio.pitch)}[${a}]`);
   }
-  
-  return new Promise((resolve, reject) => {
-    command
-      .output(outputPath)
-      .on('end', () => {
-        console.log("Speed applied:", outputPath);
-        resolve(outputPath);
-      })
-      .on('error', (err) => {
-        console.error("Speed error:", err);
-        reject(err);
-      })
-      .run();
-  });
+
+  return {
+    ...stream,
+    v,
+    a,
+    duration,
+    fps: outputFps
+  };
 }
 
-module.exports = { applySpeed };
+/**
+ * Splits a ramp into steps of constant speed
+ * @param {Object} range - {start, end, speed, endSpeed}, speed changes linearly to endSpeed over the range
+ * @returns {Object[]} Steps [{start, end, speed}]
+ */
+function rampSteps(range) {
+  const length = range.end - range.start;
+  const count = Math.max(2, Math.min(RAMP_MAX_STEPS, Math.ceil(length / RAMP_STEP_SECONDS)));
+  return Array.from({ length: count }, (_, i) => ({
+    start: range.start + (length * i) / count,
+    end: range.start + (length * (i + 1)) / count,
+    // Speed at the middle of the step
+    speed: range.speed + ((range.endSpeed - range.speed) * (i + 0.5)) / count
+  }));
+}
 
+/**
+ * Changes the speed of parts of a stream, leaving the rest at normal speed
+ * The stream is cut at the range edges, each part retimed (video and audio) and the parts joined again
+ * @param {Object} graph - Graph state
+ * @param {Object} stream - Stream {v, a, duration, fps, hasAudio}
+ * @param {Object[]} ranges - [{start, end, speed, endSpeed}] in stream time, not overlapping
+ *   endSpeed - Speed at the end of a ramp from speed, or null for a constant speed
+ * @param {Object} audio - {pitch, muteExtreme}, see retimeStream
+ * @param {Object} video - {interpolation}, see retimeStream
+ * @returns {Object} Retimed stream (frame rate unchanged)
+ */
+function speedRangesFragment(graph, stream, ranges, audio = {}, video = {}) {
+  // Normal-speed gaps between the ranges, ramps broken into steps
+  const pieces = timelinePieces(stream.duration, ranges).flatMap(piece => {
+    if (!piece.range) return [{ start: piece.start, end: piece.end, speed: 1 }];
+    const range = { ...piece.range, start: piece.start, end: piece.end };
+    return range.endSpeed && range.endSpeed !== range.speed ? rampSteps(range) : [range];
+  });
+  if (pieces.length === 0) return stream;
 
+  const copies = splitStream(graph, stream, pieces.length);
+  const parts = pieces.map((piece, i) => {
+    const part = cutStream(graph, copies[i], piece.start, piece.end);
+    return piece.speed === 1 ? part : retimeStream(graph, part, piece.speed, stream.fps, audio, video);
+  });
+  return concatStreams(graph, parts);
+}
 
+module.exports = { speedFragment, speedRangesFragment };
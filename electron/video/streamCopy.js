@@ -0,0 +1,100 @@
+const fs = require("fs");
+const { getCachedVideoMetadata, getVideoProperties, getStreamSignature } = require("../utils/videoUtils");
+const { normalizePath } = require("../utils/pathUtils");
+const { mapLimit } = require("../utils/asyncUtils");
+
+// Codecs that can be copied into the .mp4 output as they are
+const COPY_VIDEO_CODECS = ["h264", "hevc"];
+const COPY_AUDIO_CODECS = ["aac", "mp3"];
+
+// Slack between the duration the app measured for the main video and the probed one
+const WHOLE_CLIP_TOLERANCE_SECONDS = 0.1;
+
+/**
+ * Checks whether a trim keeps a single segment from the start of the main video (the app always sends one)
+ * @param {Object|null} trim - Normalized trim feature
+ * @returns {boolean} True if the trim may cover the whole video, see coversWholeClip
+ */
+function isSingleKeepTrim(trim) {
+  return trim.mode === "keep" && trim.segments.length === 1 && trim.segments[0].start <= WHOLE_CLIP_TOLERANCE_SECONDS;
+}
+
+/**
+ * Checks whether a trim leaves the main video as it is
+ * @param {Object|null} trim - Normalized trim feature
+ * @param {number} duration - Probed duration of the main video in seconds
+ * @returns {boolean} True when there is no trim or it keeps the whole video
+ */
+function coversWholeClip(trim, duration) {
+  return !trim || (isSingleKeepTrim(trim) && trim.segments[0].end >= duration - WHOLE_CLIP_TOLERANCE_SECONDS);
+}
+
+/**
+ * Checks whether an edit only joins whole files (no cuts, transitions or effects to render)
+ * A single keep segment passes here; whether it covers the whole main video is checked once it is probed
+ * @param {Object} features - Features normalized by validateFeatures
+ * @returns {boolean} True for a plain merge
+ */
+function isPlainMerge(features) {
+  if (features.speed || features.audio) return false;
+  if (features.trim && !isSingleKeepTrim(features.trim)) return false;
+  if (Array.isArray(features.insert) && features.insert.length > 0) return false;
+  if (Array.isArray(features.speedRanges) && features.speedRanges.length > 0) return false;
+  if (Array.isArray(features.reverse) && features.reverse.length > 0) return false;
+  if (Array.isArray(features.freezeFrames) && features.freezeFrames.length > 0) return false;
+
+  const merge = features.merge || [];
+  return merge.some(v => !v.main) && merge.every(v => (
+    !v.transition && (v.main || ((v.start || 0) === 0 && v.end === null))
+  ));
+}
+
+/**
+ * Plans a lossless merge: when every file has the same codec parameters they can be joined with -c copy
+ * @param {string} mainVideo - Main video path
+ * @param {Object} features - Features normalized by validateFeatures
+ * @param {Object} options - {concurrency, metadataCache}
+ *   concurrency - Maximum number of files probed at once
+ *   metadataCache - Map the probes are kept in, so the renderer can reuse them when the edit is rendered
+ * @returns {Promise<Object|null>} {files, duration} with the files in play order, or null if the edit must be rendered
+ */
+async function planStreamCopy(mainVideo, features, { concurrency = 1, metadataCache = null } = {}) {
+  if (!isPlainMerge(features)) return null;
+
+  const order = features.merge.some(v => v.main) ? features.merge : [{ main: true }, ...features.merge];
+  const files = order.map(v => (v.main ? mainVideo : normalizePath(v.path)));
+  // Missing clips are skipped by the renderer, let it handle them
+  if (!files.every(file => fs.existsSync(file))) return null;
+
+  const probes = await mapLimit(files, concurrency, file => getCachedVideoMetadata(metadataCache, file));
+  // Unreadable files are reported per clip by the renderer
+  if (!probes.every(probe => probe.ok)) return null;
+  const metadata = probes.map(probe => probe.value);
+  const mainMeta = metadata[order.findIndex(v => v.main)];
+  if (!coversWholeClip(features.trim, Number(mainMeta.format.duration) || 0)) return null;
+
+  const signatures = metadata.map(getStreamSignature);
+  const [first] = signatures;
+  if (!COPY_VIDEO_CODECS.includes(first.videoCodec)) return null;
+  if (first.audioCodec && !COPY_AUDIO_CODECS.includes(first.audioCodec)) return null;
+  if (!signatures.every(s => s.video === first.video && s.audio === first.audio)) {
+    console.log("Stream copy not possible: the merged files have different codec parameters");
+    return null;
+  }
+
+  // A custom output size or frame rate has to match the files as they are
+  const output = features.mergeOutput;
+  if (output && output.target === "custom") {
+    const props = getVideoProperties(metadata[0]);
+    if (output.width !== props.width || output.height !== props.height || (output.fps && output.fps !== props.fps)) {
+      return null;
+    }
+  }
+
+  return {
+    files,
+    duration: metadata.reduce((sum, meta) => sum + (Number(meta.format.duration) || 0), 0)
+  };
+}
+
+module.exports = { planStreamCopy };
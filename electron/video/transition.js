@@ -0,0 +1,88 @@
+const { nextLabel, addFilter, cutPad, splitStream, cutStream, concatStreams } = require("./graph");
+
+// Transition types and the xfade transition each one uses
+// "audio" only crossfades the sound; the picture cuts halfway through the overlap
+const XFADE_TRANSITIONS = {
+  crossfade: "fade",
+  fadeblack: "fadeblack",
+  wipe: "wipeleft",
+  slide: "slideleft",
+  audio: null
+};
+
+/**
+ * Blends two equally long video pads with xfade
+ * @param {Object} graph - Graph state
+ * @param {string} outgoing - Video pad that fades out
+ * @param {string} incoming - Video pad that fades in
+ * @param {string} xfade - xfade transition name
+ * @param {number} duration - Length of both pads in seconds
+ * @returns {string} Video label
+ */
+function crossfadeVideo(graph, outgoing, incoming, xfade, duration) {
+  // xfade needs both inputs on the same timebase
+  const v = nextLabel(graph, "vx");
+  const outgoingV = nextLabel(graph, "vt");
+  const incomingV = nextLabel(graph, "vt");
+  addFilter(graph, `[${outgoing}]settb=AVTB[${outgoingV}]`);
+  addFilter(graph, `[${incoming}]settb=AVTB[${incomingV}]`);
+  addFilter(graph, `[${outgoingV}][${incomingV}]xfade=transition=${xfade}:duration=${duration}:offset=0[${v}]`);
+  return v;
+}
+
+/**
+ * Cuts from one equally long video pad to the other halfway through
+ * @param {Object} graph - Graph state
+ * @param {string} outgoing - Video pad shown first
+ * @param {string} incoming - Video pad shown second
+ * @param {number} duration - Length of both pads in seconds
+ * @returns {string} Video label
+ */
+function cutVideo(graph, outgoing, incoming, duration) {
+  const half = duration / 2;
+  const v = nextLabel(graph, "vx");
+  const first = cutPad(graph, outgoing, 0, half, "v");
+  const second = cutPad(graph, incoming, half, null, "v");
+  addFilter(graph, `[${first}][${second}]concat=n=2:v=1:a=0[${v}]`);
+  return v;
+}
+
+/**
+ * Joins two streams with an xfade/acrossfade transition
+ * The clips overlap for the transition, so the result is shorter than both added up
+ * Only the overlapping parts go through xfade/acrossfade; the rest is cut and concatenated around them
+ * @param {Object} graph - Graph state
+ * @param {Object} first - Stream that ends with the transition
+ * @param {Object} second - Stream that starts with the transition
+ * @param {Object} transition - {type, duration}
+ * @returns {Object} Joined stream
+ */
+function transitionStreams(graph, first, second, transition) {
+  // Keep a few frames of each clip outside the transition
+  const duration = Math.min(transition.duration, first.duration - 0.1, second.duration - 0.1);
+  if (duration <= 0) {
+    return concatStreams(graph, [first, second]);
+  }
+  const offset = first.duration - duration;
+
+  const [firstHead, firstTail] = splitStream(graph, first, 2);
+  const [secondHead, secondTail] = splitStream(graph, second, 2);
+  const outgoing = cutStream(graph, firstTail, offset, null);
+  const incoming = cutStream(graph, secondHead, 0, duration);
+
+  const v = XFADE_TRANSITIONS[transition.type]
+    ? crossfadeVideo(graph, outgoing.v, incoming.v, XFADE_TRANSITIONS[transition.type], duration)
+    : cutVideo(graph, outgoing.v, incoming.v, duration);
+
+  const a = nextLabel(graph, "ax");
+  addFilter(graph, `[${outgoing.a}][${incoming.a}]acrossfade=d=${duration}[${a}]`);
+
+  const overlap = { v, a, duration, fps: first.fps, hasAudio: first.hasAudio || second.hasAudio };
+  return concatStreams(graph, [
+    cutStream(graph, firstHead, 0, offset),
+    overlap,
+    cutStream(graph, secondTail, duration, null)
+  ]);
+}
+
+module.exports = { transitionStreams };
@@ -1,32 +1,77 @@
-const ffmpeg = require("fluent-ffmpeg");
+const { AUDIO_FORMAT, nextLabel, addFilter, conformVideo, fitVideo, silence, concatStreams } = require("./graph");
 
 /**
- * Trims a video to specified time range
- * @param {string} videoPath - Input video path
+ * Adds a trimmed, conformed segment of a source to the graph
+ * Sources without audio get a silent track so the segment can always be concatenated
+ * @param {Object} graph - Graph state
+ * @param {Object} source - Source from addSource {index, hasAudio}
  * @param {number} start - Start time in seconds
  * @param {number} end - End time in seconds
- * @param {string} outputPath - Output file path
- * @returns {Promise<string>} Path to trimmed video
+ * @param {Object} props - Target properties {width, height, fps}
+ * @param {string} fit - How the frame fits the target size: 'letterbox', 'crop' or 'blur' (see fitVideo)
+ * @returns {Object} Stream {v, a, duration, fps, hasAudio}
  */
-async function trimVideo(videoPath, start, end, outputPath) {
-  return new Promise((resolve, reject) => {
-    ffmpeg(videoPath)
-      .setStartTime(start)
-      .setDuration(end - start)
-      .output(outputPath)
-      .on('end', () => {
-        console.log("Trim completed:", outputPath);
-        resolve(outputPath);
-      })
-      .on('error', (err) => {
-        console.error("Trim error:", err);
-        reject(err);
-      })
-      .run();
-  });
-}
+function trimFragment(graph, source, start, end, props, fit = "letterbox") {
+  let v = nextLabel(graph, "v");
+  if (fit === "blur") {
+    addFilter(graph, `[${source.index}:v]trim=start=${start}:end=${end},setpts=PTS-STARTPTS[${v}]`);
+    v = fitVideo(graph, v, props, fit);
+  } else {
+    addFilter(graph, `[${source.index}:v]trim=start=${start}:end=${end},setpts=PTS-STARTPTS,${conformVideo(props, fit)}[${v}]`);
+  }
 
-module.exports = { trimVideo };
+  let a;
+  if (source.hasAudio) {
+    a = nextLabel(graph, "a");
+    addFilter(graph, `[${source.index}:a]atrim=start=${start}:end=${end},asetpts=PTS-STARTPTS,${AUDIO_FORMAT}[${a}]`);
+  } else {
+    a = silence(graph, end - start);
+  }
 
+  return {
+    v,
+    a,
+    duration: end - start,
+    fps: props.fps,
+    hasAudio: source.hasAudio
+  };
+}
 
+/**
+ * Turns ranges to remove into the ranges to keep (the gaps between them)
+ * Kept ranges shorter than 0.1s are dropped
+ * @param {Object[]} cuts - Ranges to remove [{start, end}], in any order, may overlap
+ * @param {number} duration - Source duration in seconds
+ * @returns {Object[]} Kept ranges [{start, end}] in timeline order
+ */
+function invertSegments(cuts, duration) {
+  const sorted = [...cuts].sort((a, b) => a.start - b.start);
+  const kept = [];
+  let cursor = 0;
+  for (const cut of sorted) {
+    if (cut.start - cursor > 0.1) {
+      kept.push({ start: cursor, end: cut.start });
+    }
+    cursor = Math.max(cursor, cut.end);
+  }
+  if (duration - cursor > 0.1) {
+    kept.push({ start: cursor, end: duration });
+  }
+  return kept;
+}
+
+/**
+ * Keeps several ranges of a source and joins them in order
+ * @param {Object} graph - Graph state
+ * @param {Object} source - Source from addSource {index, hasAudio}
+ * @param {Object[]} segments - Kept ranges [{start, end}] in output order
+ * @param {Object} props - Target properties {width, height, fps}
+ * @param {string} fit - How the frame fits the target size, see trimFragment
+ * @returns {Object} Stream {v, a, duration, fps, hasAudio}
+ */
+function segmentsFragment(graph, source, segments, props, fit = "letterbox") {
+  const parts = segments.map(segment => trimFragment(graph, source, segment.start, segment.end, props, fit));
+  return parts.length === 1 ? parts[0] : concatStreams(graph, parts);
+}
 
+module.exports = { trimFragment, invertSegments, segmentsFragment };
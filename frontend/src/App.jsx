@@ -1,8 +1,73 @@
 import { useState, useEffect, useRef } from "react";
+import { useHistory } from "./useHistory";
 import "./App.css";
 
 const PX_PER_SEC = 50;
 
+// Shortest trim segment, in seconds
+const MIN_SEGMENT_SECONDS = 0.2;
+
+// Picture-in-picture window: x/y go from 0 (left/top) to 1 (right/bottom), scale is a fraction of the frame width
+const PIP_DEFAULTS = { x: 0.95, y: 0.95, scale: 0.3, border: 0, borderColor: "#ffffff", rounded: false, audio: "mix" };
+const CHROMA_KEY_DEFAULTS = { color: "#00ff00", similarity: 0.1, blend: 0 };
+const PIP_CORNERS = [
+  { label: "↖ Top Left", x: 0.05, y: 0.05 },
+  { label: "↗ Top Right", x: 0.95, y: 0.05 },
+  { label: "↙ Bottom Left", x: 0.05, y: 0.95 },
+  { label: "↘ Bottom Right", x: 0.95, y: 0.95 }
+];
+
+// Transitions into a merge clip (none = hard cut)
+const MERGE_TRANSITIONS = [
+  { id: "none", label: "✂️ Cut" },
+  { id: "crossfade", label: "🌫️ Crossfade" },
+  { id: "fadeblack", label: "⬛ Fade through black" },
+  { id: "wipe", label: "🧽 Wipe" },
+  { id: "slide", label: "➡️ Slide" }
+];
+// Transitions into and out of an insert
+const INSERT_TRANSITIONS = [
+  { id: "none", label: "✂️ Cut" },
+  { id: "crossfade", label: "🌫️ Dissolve" },
+  { id: "fadeblack", label: "⬛ Dip to black" },
+  { id: "audio", label: "🔊 Audio crossfade only" }
+];
+// Size and frame rate every merged part is conformed to
+const MERGE_TARGETS = [
+  { id: "main", label: "Match main video" },
+  { id: "largest", label: "Match largest clip" },
+  { id: "custom", label: "Custom" }
+];
+// How a merged part fits the output frame when its shape differs
+const MERGE_FITS = [
+  { id: "letterbox", label: "⬛ Letterbox" },
+  { id: "crop", label: "✂️ Crop to fill" },
+  { id: "blur", label: "🌫️ Blurred fill" }
+];
+const MERGE_OUTPUT_DEFAULTS = { target: "main", width: null, height: null, fps: null };
+// Speeds offered for a speed range
+const SPEED_RANGE_CHOICES = [0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 3, 4, 8, 16];
+// The speed slider is logarithmic so slow motion gets as much travel as fast forward
+const SPEED_MIN = 0.1;
+const SPEED_MAX = 16;
+const SPEED_AUDIO_DEFAULTS = { pitch: "preserve", muteExtreme: false };
+// How slowed video is filled in (previews use blending instead of motion interpolation)
+const INTERPOLATION_MODES = [
+  { id: "none", label: "Repeat frames" },
+  { id: "blend", label: "Blend frames" },
+  { id: "motion", label: "Motion interpolation (slow)" }
+];
+const SPEED_VIDEO_DEFAULTS = { interpolation: "none" };
+const REVERSE_EFFECTS = [
+  { id: "reverse", label: "⏪ Reverse" },
+  { id: "boomerang", label: "🔁 Boomerang" }
+];
+// Speed ramps are rendered as steps of constant speed (mirrors electron/video/speed.js)
+const RAMP_STEP_SECONDS = 0.25;
+const RAMP_MAX_STEPS = 16;
+const DEFAULT_TRANSITION_SECONDS = 1;
+const MAX_TRANSITION_SECONDS = 5;
+
 const EDITING_OPTIONS = [
   { id: "trim", icon: "✂️", label: "Trim Video", description: "Cut and trim your video" },
   { id: "merge", icon: "🔗", label: "Merge Videos", description: "Combine multiple videos" },
@@ -11,30 +76,152 @@ const EDITING_OPTIONS = [
   { id: "audio", icon: "🎵", label: "Add Audio", description: "Add audio track to video" }
 ];
 
+const JOB_STEP_LABELS = {
+  probe: "Probing inputs",
+  render: "Rendering"
+};
+
+const JOB_STATE_LABELS = {
+  queued: "⏸ Queued",
+  running: "⏳ Running",
+  done: "✅ Done",
+  failed: "❌ Failed",
+  cancelled: "⛔ Cancelled"
+};
+
+// Undo history labels for each part of the editor state
+const HISTORY_LABELS = {
+  mainVideo: "Change base clip",
+  segments: "Trim",
+  trimMode: "Change trim mode",
+  merge: "Edit merge list",
+  mergeOutput: "Change merge output",
+  insert: "Edit insert",
+  speed: "Change speed",
+  speedRanges: "Edit speed ranges",
+  speedAudio: "Change speed audio",
+  speedVideo: "Change slow-motion frames",
+  reverse: "Edit reverse effects",
+  freezeFrames: "Edit freeze frames",
+  audio: "Edit audio"
+};
+
+// Wait for edits to settle before recording them, so typing and slider moves become one step
+const HISTORY_SETTLE_MS = 400;
+
+function describeEditorChange(prev, next) {
+  const changed = Object.keys(HISTORY_LABELS).filter(key => JSON.stringify(prev[key]) !== JSON.stringify(next[key]));
+  return changed.length > 0 ? changed.map(key => HISTORY_LABELS[key]).join(", ") : "Edit";
+}
+
+// Unused ranges of the base clip between kept segments (segments are in timeline order)
+function findSegmentGaps(segments, duration) {
+  const gaps = [];
+  let cursor = 0;
+  segments.forEach(segment => {
+    if (segment.start - cursor >= MIN_SEGMENT_SECONDS) gaps.push({ start: cursor, end: segment.start });
+    cursor = Math.max(cursor, segment.start + segment.duration);
+  });
+  if (duration - cursor >= MIN_SEGMENT_SECONDS) gaps.push({ start: cursor, end: duration });
+  return gaps;
+}
+
+// Maps a time on the base clip to the edited timeline (the kept segments joined in order)
+// Returns null for a time that is trimmed away
+function sourceToEditedTime(segments, trimMode, time) {
+  if (trimMode === "cut") {
+    if (segments.some(s => time >= s.start && time < s.start + s.duration)) return null;
+    return segments.reduce((edited, s) => edited - Math.max(0, Math.min(time - s.start, s.duration)), time);
+  }
+  if (segments.length === 0) return time;
+  let edited = 0;
+  for (const s of segments) {
+    if (time >= s.start && time <= s.start + s.duration) return edited + time - s.start;
+    edited += s.duration;
+  }
+  return null;
+}
+
+// Maps a time on the edited timeline back to the base clip (inverse of sourceToEditedTime)
+function editedToSourceTime(segments, trimMode, time) {
+  if (trimMode === "cut") {
+    return segments.reduce((source, s) => (s.start <= source ? source + s.duration : source), time);
+  }
+  if (segments.length === 0) return time;
+  let edited = 0;
+  for (const s of segments) {
+    if (time <= edited + s.duration) return s.start + time - edited;
+    edited += s.duration;
+  }
+  const last = segments[segments.length - 1];
+  return last.start + last.duration;
+}
+
+// How often the in-progress edit is written to the recovery file
+const AUTOSAVE_INTERVAL_MS = 5000;
+
+// Media paths in editor state are file:// URLs, project files store plain paths
+function toFileUrl(mediaPath) {
+  if (!mediaPath) return null;
+  return mediaPath.startsWith("file://") ? mediaPath : "file://" + mediaPath;
+}
+
 export default function App() {
   const [videoSrc, setVideoSrc] = useState(null);
   const [videoDuration, setVideoDuration] = useState(0);
-  const [clip, setClip] = useState({ start: 0, duration: 5 });
+  // Kept ranges of the base clip in timeline order; the selected one is edited by the trim controls
+  const [segments, setSegments] = useState([{ start: 0, duration: 5 }]);
+  const [selectedSegment, setSelectedSegment] = useState(0);
+  const [trimMode, setTrimMode] = useState("keep"); // "keep" segments or "cut" them out (ripple delete)
+  const [playhead, setPlayhead] = useState(0);
+  const previewVideoRef = useRef(null);
   const [drag, setDrag] = useState(null);
   const [isExporting, setIsExporting] = useState(false);
   const [isGeneratingPreview, setIsGeneratingPreview] = useState(false);
   const [showPreview, setShowPreview] = useState(false);
   const [previewVideoSrc, setPreviewVideoSrc] = useState(null);
+  const [previewProgress, setPreviewProgress] = useState(null); // { jobId, step, percent, fps, eta }
+  const [projectPath, setProjectPath] = useState(null);
+  // Values from an opened project that media metadata handlers must not overwrite with defaults
+  const pendingProjectRef = useRef(null);
+  // Main video the segments were set up for: the player also reloads it after a preview is closed
+  const loadedVideoSrcRef = useRef(null);
+  const [recoverySession, setRecoverySession] = useState(null); // { savedAt, project, activeOption, projectPath }
+  const autosaveRef = useRef(null);
+  // Field-level errors from validating the features in the main process, for the edit they were reported on
+  const [validation, setValidation] = useState(null); // { key, errors: { field: message } }
+  
+  // Render queue state (export jobs run in the main process)
+  const [queue, setQueue] = useState({ jobs: [], paused: false });
+  const [queueProgress, setQueueProgress] = useState({}); // jobId -> { step, percent, fps, eta }
+  // App settings stored by the main process
+  const [settings, setSettings] = useState({ renderThreads: 0 });
   const timelineRef = useRef(null);
   const [activeOption, setActiveOption] = useState("trim");
   
   // Merge videos state
+  // Play order: [{ path, name, start, end, transition: { type, duration } | null }] plus one { main: true, transition } entry
   const [mergeVideos, setMergeVideos] = useState([]);
+  const [mergeDurations, setMergeDurations] = useState({}); // path -> clip duration
+  const [mergeOutput, setMergeOutput] = useState(MERGE_OUTPUT_DEFAULTS);
+  const dragMergeIndexRef = useRef(null);
+  const mergeClipCount = mergeVideos.filter(v => !v.main).length;
   
   // Insert video state
-  const [insertPosition, setInsertPosition] = useState(0);
-  const [insertVideoSrc, setInsertVideoSrc] = useState(null);
-  const [insertVideoDuration, setInsertVideoDuration] = useState(0);
-  const [insertSeconds, setInsertSeconds] = useState(5);
-  const [insertMode, setInsertMode] = useState("sequential"); // "sequential" or "overlapping"
+  const [inserts, setInserts] = useState([]); // [{ video, position, seconds, sourceStart, mode: "sequential" | "overlapping" | "pip", pip }]
+  const [selectedInsert, setSelectedInsert] = useState(0);
+  const [insertVideoDurations, setInsertVideoDurations] = useState({}); // video src -> source duration
+  const insertTimelineRef = useRef(null);
+  const insertPreviewRef = useRef(null);
+  const [pickingKeyColor, setPickingKeyColor] = useState(false);
   
   // Speed control state
   const [playbackSpeed, setPlaybackSpeed] = useState(1.0);
+  const [speedRanges, setSpeedRanges] = useState([]); // [{ start, end, speed, endSpeed }] on the edited timeline
+  const [speedAudio, setSpeedAudio] = useState(SPEED_AUDIO_DEFAULTS);
+  const [speedVideo, setSpeedVideo] = useState(SPEED_VIDEO_DEFAULTS);
+  const [reverseEffects, setReverseEffects] = useState([]); // [{ start, end, effect, audio }], end null = to the end
+  const [freezeFrames, setFreezeFrames] = useState([]); // [{ position, duration, audio }]
   
   // Audio state
   const [audioSrc, setAudioSrc] = useState(null);
@@ -58,24 +245,34 @@ export default function App() {
     const dur = e.target.duration;
     if (dur && dur > 0) {
       setVideoDuration(dur);
-      setClip({ start: 0, duration: Math.min(dur, 5) });
+      const pending = pendingProjectRef.current;
+      const isNewVideo = loadedVideoSrcRef.current !== videoSrc;
+      loadedVideoSrcRef.current = videoSrc;
+      if (pending && pending.segments) {
+        setSegments(pending.segments);
+        pendingProjectRef.current = { ...pending, segments: null };
+        setSelectedSegment(0);
+      } else if (isNewVideo) {
+        setSegments(trimMode === "cut" ? [] : [{ start: 0, duration: Math.min(dur, 5) }]);
+        setSelectedSegment(0);
+      }
     }
   }
 
   useEffect(() => {
     if (videoDuration > 0) {
-      setClip(prev => {
-        const maxStart = Math.max(0, videoDuration - 0.2);
-        const clampedStart = Math.min(prev.start, maxStart);
-        const maxDuration = videoDuration - clampedStart;
-        const clampedDuration = Math.min(prev.duration, maxDuration);
-        return {
-          start: clampedStart,
-          duration: Math.max(0.2, clampedDuration)
-        };
+      setSegments(prev => {
+        const maxStart = Math.max(0, videoDuration - MIN_SEGMENT_SECONDS);
+        const clamped = prev
+          .filter(segment => segment.start < maxStart)
+          .map(segment => ({
+            start: segment.start,
+            duration: Math.max(MIN_SEGMENT_SECONDS, Math.min(segment.duration, videoDuration - segment.start))
+          }));
+        return clamped.length > 0 || trimMode === "cut" ? clamped : [{ start: 0, duration: Math.min(videoDuration, 5) }];
       });
     }
-  }, [videoDuration]);
+  }, [videoDuration, trimMode]);
 
   useEffect(() => {
     if (videoSrc) {
@@ -83,7 +280,36 @@ export default function App() {
     }
   }, [videoSrc]);
 
+  // Progress of the running preview/export jobs, pushed from the main process
+  useEffect(() => {
+    return window.api.onJobProgress((progress) => {
+      if (progress.kind === "preview") {
+        setPreviewProgress(progress);
+      } else {
+        setQueueProgress(prev => ({ ...prev, [progress.jobId]: progress }));
+      }
+    });
+  }, []);
+
+  useEffect(() => {
+    window.api.getQueue().then(setQueue);
+    return window.api.onQueueUpdated(setQueue);
+  }, []);
+
+  useEffect(() => {
+    window.api.getSettings().then(setSettings);
+  }, []);
+
+  async function changeSettings(changes) {
+    setSettings(prev => ({ ...prev, ...changes }));
+    setSettings(await window.api.saveSettings(changes));
+  }
+
   function handleMove(e) {
+    if (drag === "insert-in" || drag === "insert-out") {
+      handleInsertRangeMove(e);
+      return;
+    }
     if (!drag || videoDuration === 0) return;
     const timeline = timelineRef.current?.getBoundingClientRect();
     if (!timeline || timeline.width === 0) return;
@@ -92,18 +318,18 @@ export default function App() {
     const rawTime = proportion * videoDuration;
     const clampedTime = Math.max(0, Math.min(rawTime, videoDuration));
 
-    setClip(prev => {
+    updateSelectedSegment((prev, bounds) => {
       if (drag === "left") {
-        const newStart = Math.min(clampedTime, prev.start + prev.duration - 0.2);
-        const finalStart = Math.max(0, newStart);
+        const newStart = Math.min(clampedTime, prev.start + prev.duration - MIN_SEGMENT_SECONDS);
+        const finalStart = Math.max(bounds.min, newStart);
         return {
           start: finalStart,
           duration: prev.start + prev.duration - finalStart
         };
       }
       if (drag === "right") {
-        const newEnd = Math.max(prev.start + 0.2, clampedTime);
-        const maxEnd = Math.min(newEnd, videoDuration);
+        const newEnd = Math.max(prev.start + MIN_SEGMENT_SECONDS, clampedTime);
+        const maxEnd = Math.min(newEnd, bounds.max);
         return {
           ...prev,
           duration: maxEnd - prev.start
@@ -113,16 +339,240 @@ export default function App() {
     });
   }
 
+  const selectedIndex = Math.min(selectedSegment, segments.length - 1);
+  const clip = segments[selectedIndex]; // undefined when no range is marked in cut mode
+  const segmentsDuration = segments.reduce((sum, segment) => sum + segment.duration, 0);
+  const keptDuration = trimMode === "cut" ? Math.max(0, videoDuration - segmentsDuration) : segmentsDuration;
+
+  // Range a segment can grow into without overlapping its neighbours
+  function getSegmentBounds(list, index) {
+    const before = list[index - 1];
+    const after = list[index + 1];
+    return {
+      min: before ? before.start + before.duration : 0,
+      max: after ? after.start : videoDuration
+    };
+  }
+
+  function updateSelectedSegment(update) {
+    setSegments(prev => prev.map((segment, i) => (
+      i === selectedIndex ? update(segment, getSegmentBounds(prev, i)) : segment
+    )));
+  }
+
+  // Adds a segment in the gap under the playhead, or the first gap long enough
+  function addSegment() {
+    const gaps = findSegmentGaps(segments, videoDuration);
+    if (gaps.length === 0) {
+      alert("The whole clip is already kept. Split a segment to cut something out.");
+      return;
+    }
+    const gap = gaps.find(g => playhead >= g.start && playhead <= g.end - MIN_SEGMENT_SECONDS) || gaps[0];
+    const start = playhead >= gap.start && playhead <= gap.end - MIN_SEGMENT_SECONDS ? playhead : gap.start;
+    const segment = { start, duration: Math.min(trimMode === "cut" ? 1 : 5, gap.end - start) };
+
+    const next = [...segments, segment].sort((a, b) => a.start - b.start);
+    setSegments(next);
+    setSelectedSegment(next.indexOf(segment));
+  }
+
+  function splitSegmentAtPlayhead() {
+    const index = segments.findIndex(segment =>
+      playhead > segment.start + MIN_SEGMENT_SECONDS && playhead < segment.start + segment.duration - MIN_SEGMENT_SECONDS
+    );
+    if (index === -1) {
+      alert("Move the playhead inside a segment to split it.");
+      return;
+    }
+    const segment = segments[index];
+    setSegments([
+      ...segments.slice(0, index),
+      { start: segment.start, duration: playhead - segment.start },
+      { start: playhead, duration: segment.start + segment.duration - playhead },
+      ...segments.slice(index + 1)
+    ]);
+    setSelectedSegment(index + 1);
+  }
+
+  // Switching mode starts a new list: the whole default clip to keep, or nothing cut yet
+  function changeTrimMode(mode) {
+    if (mode === trimMode) return;
+    setTrimMode(mode);
+    setSegments(mode === "cut" ? [] : [{ start: 0, duration: Math.min(videoDuration || 5, 5) }]);
+    setSelectedSegment(0);
+  }
+
+  function deleteSegment(index) {
+    if (trimMode === "keep" && segments.length <= 1) return;
+    setSegments(segments.filter((_, i) => i !== index));
+    setSelectedSegment(Math.max(0, index - 1));
+  }
+
+  function seekTo(time) {
+    const t = Math.max(0, Math.min(time, videoDuration));
+    if (previewVideoRef.current && !previewVideoSrc) {
+      previewVideoRef.current.currentTime = t;
+    }
+    setPlayhead(t);
+  }
+
   async function pickMergeVideo() {
     const res = await window.api.pickVideo();
     if (!res) return;
-    setMergeVideos(prev => [...prev, { path: res.videoPath, name: res.videoPath.split(/[/\\]/).pop() }]);
+    const clip = { path: res.videoPath, name: res.videoPath.split(/[/\\]/).pop(), start: 0, end: null, fit: "letterbox", transition: null };
+    // The main video starts out first in the order
+    setMergeVideos(prev => (prev.length === 0 ? [{ main: true, fit: "letterbox", transition: null }, clip] : [...prev, clip]));
+  }
+
+  function removeMergeClip(index) {
+    setMergeVideos(prev => {
+      const next = prev.filter((_, i) => i !== index);
+      return next.some(v => !v.main) ? next : [];
+    });
+  }
+
+  function moveMergeClip(from, to) {
+    if (from === null || from === to) return;
+    setMergeVideos(prev => {
+      const next = [...prev];
+      const [item] = next.splice(from, 1);
+      next.splice(to, 0, item);
+      return next;
+    });
   }
 
-  async function pickInsertVideo() {
+  // In/out range of a merge clip, kept inside the clip once its duration is known
+  function setMergeClipRange(index, start, end) {
+    setMergeVideos(prev => prev.map((v, i) => {
+      if (i !== index) return v;
+      const clipDuration = mergeDurations[v.path] || Infinity;
+      const safeEnd = end === null ? null : Math.min(end, clipDuration);
+      const safeStart = Math.max(0, Math.min(start, (safeEnd ?? clipDuration) - MIN_SEGMENT_SECONDS));
+      return { ...v, start: safeStart, end: safeEnd !== null && safeEnd >= clipDuration ? null : safeEnd };
+    }));
+  }
+
+  // Length of a merge clip's in/out range (0 until the file's duration is known)
+  function getMergeClipDuration(clip) {
+    const clipDuration = mergeDurations[clip.path];
+    if (!clipDuration) return 0;
+    return Math.max(0, Math.min(clip.end ?? clipDuration, clipDuration) - (clip.start || 0));
+  }
+
+  // Sets the transition into a merge clip from whatever plays before it
+  function setMergeTransition(index, transition) {
+    setMergeVideos(prev => prev.map((v, i) => (i === index ? { ...v, transition } : v)));
+  }
+
+  function setMergeFit(index, fit) {
+    setMergeVideos(prev => prev.map((v, i) => (i === index ? { ...v, fit } : v)));
+  }
+
+  function changeMergeTarget(target) {
+    if (target !== "custom") {
+      setMergeOutput({ ...MERGE_OUTPUT_DEFAULTS, target });
+      return;
+    }
+    // Start a custom output from the main video size
+    const video = previewVideoRef.current;
+    const hasMainSize = video && !previewVideoSrc && video.videoWidth;
+    setMergeOutput(prev => ({
+      target,
+      width: prev.width || (hasMainSize ? video.videoWidth : 1920),
+      height: prev.height || (hasMainSize ? video.videoHeight : 1080),
+      fps: prev.fps || null
+    }));
+  }
+
+  const selectedInsertIndex = Math.min(selectedInsert, inserts.length - 1);
+  const insert = inserts[selectedInsertIndex];
+
+  // Adds a new insert, or changes the clip of the selected one when replace is set
+  async function pickInsertVideo(replace) {
     const res = await window.api.pickVideo(true); // Pass true to indicate this is an insert video
     if (!res) return;
-    setInsertVideoSrc("file://" + res.videoPath);
+    const video = "file://" + res.videoPath;
+    if (replace) {
+      updateSelectedInsert({ video, sourceStart: 0 });
+      return;
+    }
+    setInserts(prev => [...prev, { video, position: 0, seconds: 5, sourceStart: 0, mode: "sequential", transitionIn: null, transitionOut: null }]);
+    setSelectedInsert(inserts.length);
+  }
+
+  function updateSelectedInsert(changes) {
+    setInserts(prev => prev.map((v, i) => (i === selectedInsertIndex ? { ...v, ...changes } : v)));
+  }
+
+  // Source range of the selected insert: in point (sourceStart) and out point (sourceStart + seconds)
+  const insertSourceDuration = insert ? insertVideoDurations[insert.video] || 0 : 0;
+
+  function setInsertRange(inPoint, outPoint) {
+    const maxOut = insertSourceDuration || Infinity;
+    const start = Math.max(0, Math.min(inPoint, (insertSourceDuration || outPoint) - MIN_SEGMENT_SECONDS));
+    const end = Math.max(start + MIN_SEGMENT_SECONDS, Math.min(outPoint, maxOut));
+    updateSelectedInsert({ sourceStart: start, seconds: end - start });
+  }
+
+  function handleInsertRangeMove(e) {
+    const timeline = insertTimelineRef.current?.getBoundingClientRect();
+    if (!insert || !timeline || timeline.width === 0 || insertSourceDuration === 0) return;
+    const proportion = (e.clientX - timeline.left) / timeline.width;
+    const time = Math.max(0, Math.min(proportion * insertSourceDuration, insertSourceDuration));
+    const outPoint = insert.sourceStart + insert.seconds;
+    if (drag === "insert-in") {
+      setInsertRange(Math.min(time, outPoint - MIN_SEGMENT_SECONDS), outPoint);
+    } else {
+      setInsertRange(insert.sourceStart, time);
+    }
+    seekInsertPreview(time);
+  }
+
+  function seekInsertPreview(time) {
+    if (insertPreviewRef.current) {
+      insertPreviewRef.current.currentTime = time;
+    }
+  }
+
+  function changeInsertMode(mode) {
+    updateSelectedInsert(mode === "pip" && !insert.pip ? { mode, pip: { ...PIP_DEFAULTS } } : { mode });
+  }
+
+  function updateSelectedPip(changes) {
+    updateSelectedInsert({ pip: { ...PIP_DEFAULTS, ...insert.pip, ...changes } });
+  }
+
+  // Samples the key color from the clicked pixel of the insert preview frame
+  function pickKeyColor(e) {
+    setPickingKeyColor(false);
+    const video = insertPreviewRef.current;
+    if (!video || !video.videoWidth) return;
+
+    // The frame is letterboxed inside the element (object-fit: contain)
+    const rect = video.getBoundingClientRect();
+    const scale = Math.min(rect.width / video.videoWidth, rect.height / video.videoHeight);
+    const x = Math.floor((e.clientX - rect.left - (rect.width - video.videoWidth * scale) / 2) / scale);
+    const y = Math.floor((e.clientY - rect.top - (rect.height - video.videoHeight * scale) / 2) / scale);
+    if (x < 0 || y < 0 || x >= video.videoWidth || y >= video.videoHeight) return;
+
+    try {
+      const canvas = document.createElement("canvas");
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+      const context = canvas.getContext("2d");
+      context.drawImage(video, 0, 0);
+      const [red, green, blue] = context.getImageData(x, y, 1, 1).data;
+      const color = "#" + [red, green, blue].map(c => c.toString(16).padStart(2, "0")).join("");
+      updateSelectedPip({ chromaKey: { ...CHROMA_KEY_DEFAULTS, ...insert.pip?.chromaKey, color } });
+    } catch (error) {
+      console.error("Error sampling key color:", error);
+      alert(`Could not read the preview frame: ${error.message}\n\nPick the color manually instead.`);
+    }
+  }
+
+  function removeInsert(index) {
+    setInserts(prev => prev.filter((_, i) => i !== index));
+    setSelectedInsert(prev => (prev > index ? prev - 1 : prev));
   }
 
   async function pickAudio() {
@@ -146,15 +596,26 @@ export default function App() {
     if (dur && dur > 0) {
       setAudioDuration(dur);
       setAudioTrimEnd(dur);
-      setAudioEndTime(Math.min(dur, clip.duration || dur));
+      const pending = pendingProjectRef.current;
+      if (pending && pending.audio) {
+        setAudioEndTime(pending.audio.endTime);
+        pendingProjectRef.current = { ...pending, audio: null };
+      } else {
+        setAudioEndTime(Math.min(dur, keptDuration || dur));
+      }
     }
   }
 
-  function onInsertVideoMetadata(e) {
+  function onInsertVideoMetadata(e, video) {
     const dur = e.target.duration;
     if (dur && dur > 0) {
-      setInsertVideoDuration(dur);
-      setInsertSeconds(Math.min(dur, 5));
+      setInsertVideoDurations(prev => ({ ...prev, [video]: dur }));
+      // An insert can't play past the end of its clip
+      setInserts(prev => prev.map(v => {
+        if (v.video !== video || v.sourceStart + v.seconds <= dur) return v;
+        const sourceStart = Math.min(v.sourceStart, Math.max(0, dur - MIN_SEGMENT_SECONDS));
+        return { ...v, sourceStart, seconds: dur - sourceStart };
+      }));
     }
   }
 
@@ -173,24 +634,37 @@ export default function App() {
 
   function getFeatures() {
     return {
-      trim: { start: clip.start, end: clip.start + clip.duration },
-      merge: mergeVideos.length > 0 ? mergeVideos : null,
-      insert: insertVideoSrc ? { 
-        position: insertPosition, 
-        seconds: insertSeconds, 
-        video: insertVideoSrc,
-        mode: insertMode
+      trim: segments.length > 0 ? {
+        mode: trimMode,
+        segments: segments.map(segment => ({ start: segment.start, end: segment.start + segment.duration }))
       } : null,
+      merge: mergeClipCount > 0 ? mergeVideos : null,
+      mergeOutput: mergeClipCount > 0 ? mergeOutput : null,
+      insert: inserts.length > 0 ? inserts.map(v => ({
+        position: v.position,
+        seconds: v.seconds,
+        sourceStart: v.sourceStart,
+        video: v.video,
+        mode: v.mode,
+        pip: v.mode === "pip" ? { ...PIP_DEFAULTS, ...v.pip } : null,
+        transitionIn: v.mode !== "pip" ? v.transitionIn || null : null,
+        transitionOut: v.mode !== "pip" ? v.transitionOut || null : null
+      })) : null,
+      freezeFrames: freezeFrames.length > 0 ? freezeFrames : null,
       speed: playbackSpeed !== 1.0 ? playbackSpeed : null,
+      speedRanges: speedRanges.length > 0 ? speedRanges : null,
+      speedAudio: playbackSpeed !== 1.0 || speedRanges.length > 0 ? speedAudio : null,
+      speedVideo: playbackSpeed !== 1.0 || speedRanges.length > 0 ? speedVideo : null,
+      reverse: reverseEffects.length > 0 ? reverseEffects : null,
       audio: audioSrc ? {
         path: audioSrc,
         placement: audioPlacement,
         priority: audioPlacement === "audio_priority" ? "audio" : (audioPlacement === "video_priority" ? "video" : null),
         startTime: audioPlacement === "custom" ? audioStartTime : 0,
-        endTime: audioPlacement === "custom" ? audioEndTime : (audioPlacement === "audio_priority" ? Math.max(audioDuration, clip.duration) : clip.duration),
+        endTime: audioPlacement === "custom" ? audioEndTime : (audioPlacement === "audio_priority" ? Math.max(audioDuration, keptDuration) : keptDuration),
         trimStart: 0, // No trimming - use full audio
         trimEnd: audioDuration, // Use full audio duration
-        videoDuration: clip.duration,
+        videoDuration: keptDuration,
         audioDuration: audioDuration,
         mode: audioMode, // "replace", "mix_inserted_main", "mix_video_main"
         backgroundAudioVolume: backgroundAudioVolume // 0.0 to 1.0
@@ -198,31 +672,489 @@ export default function App() {
     };
   }
 
+  // Editor state saved in project files (media paths are made relative by the main process)
+  function getProjectState() {
+    return {
+      mainVideo: videoSrc,
+      segments,
+      trimMode,
+      merge: mergeVideos,
+      mergeOutput,
+      insert: inserts,
+      freezeFrames,
+      speed: playbackSpeed,
+      speedRanges,
+      speedAudio,
+      speedVideo,
+      reverse: reverseEffects,
+      audio: audioSrc ? {
+        path: audioSrc,
+        placement: audioPlacement,
+        startTime: audioStartTime,
+        endTime: audioEndTime,
+        mode: audioMode,
+        backgroundAudioVolume: backgroundAudioVolume
+      } : null
+    };
+  }
+
+  // Used for opening projects and for undo/redo
+  function applyProjectState(project) {
+    const mainVideo = toFileUrl(project.mainVideo);
+    const audio = project.audio ? toFileUrl(project.audio.path) : null;
+    // Values that depend on media metadata are applied once the new media has loaded
+    pendingProjectRef.current = {
+      segments: mainVideo !== videoSrc ? project.segments : null,
+      audio: audio && audio !== audioSrc ? project.audio : null
+    };
+
+    setPreviewVideoSrc(null);
+    setVideoSrc(mainVideo);
+    setTrimMode(project.trimMode || "keep");
+    if (project.segments && (project.segments.length > 0 || project.trimMode === "cut")) {
+      setSegments(project.segments);
+      setSelectedSegment(0);
+    }
+    setMergeVideos((project.merge || []).map(v => (v.main ? { main: true, fit: v.fit || "letterbox", transition: v.transition || null } : {
+      path: v.path,
+      name: v.name || v.path.split(/[/\\]/).pop(),
+      start: v.start || 0,
+      end: v.end ?? null,
+      fit: v.fit || "letterbox",
+      transition: v.transition || null
+    })));
+    setMergeOutput(project.mergeOutput || MERGE_OUTPUT_DEFAULTS);
+
+    setInserts((project.insert || []).map(v => ({ ...v, video: toFileUrl(v.video) })));
+    setSelectedInsert(0);
+    setFreezeFrames(project.freezeFrames || []);
+
+    setPlaybackSpeed(project.speed || 1.0);
+    setSpeedRanges(project.speedRanges || []);
+    setSpeedAudio(project.speedAudio || SPEED_AUDIO_DEFAULTS);
+    setSpeedVideo(project.speedVideo || SPEED_VIDEO_DEFAULTS);
+    setReverseEffects(project.reverse || []);
+
+    setAudioSrc(audio);
+    if (project.audio) {
+      setAudioPlacement(project.audio.placement);
+      setAudioStartTime(project.audio.startTime);
+      setAudioEndTime(project.audio.endTime);
+      setAudioMode(project.audio.mode);
+      setBackgroundAudioVolume(project.audio.backgroundAudioVolume);
+    }
+  }
+
+  async function saveProject() {
+    try {
+      const res = await window.api.saveProject(getProjectState(), projectPath);
+      if (res) setProjectPath(res.projectPath);
+    } catch (error) {
+      console.error("Save project error:", error);
+      alert(`❌ Error saving project: ${error.message}`);
+    }
+  }
+
+  async function openProject() {
+    try {
+      const res = await window.api.openProject();
+      if (!res) return;
+      applyProjectState(res.project);
+      setProjectPath(res.projectPath);
+    } catch (error) {
+      console.error("Open project error:", error);
+      alert(`❌ Error opening project: ${error.message}`);
+    }
+  }
+
+  // Undo/redo: every settled change to the project state becomes a history entry
+  const history = useHistory(describeEditorChange);
+  const { record: recordHistory } = history;
+  const editorStateKey = JSON.stringify(getProjectState());
+
+  useEffect(() => {
+    // A trim drag is recorded once, when the handle is released
+    if (drag) return;
+    const timer = setTimeout(() => recordHistory(JSON.parse(editorStateKey)), HISTORY_SETTLE_MS);
+    return () => clearTimeout(timer);
+  }, [editorStateKey, drag, recordHistory]);
+
+  function jumpToHistory(index) {
+    const state = history.jumpTo(index);
+    if (state) applyProjectState(state);
+  }
+
+  const undo = () => jumpToHistory(history.index - 1);
+  const redo = () => jumpToHistory(history.index + 1);
+
+  useEffect(() => {
+    function handleKeyDown(e) {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const target = e.target;
+      if (target.tagName === "TEXTAREA" || (target.tagName === "INPUT" && target.type === "text")) return;
+
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
+    }
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  });
+
+  function showValidationErrors(errors) {
+    setValidation({ key: editorStateKey, errors: Object.fromEntries(errors.map(e => [e.field, e.message])) });
+    // Open the tab of the first invalid feature so its errors are visible
+    const feature = errors[0].field.split(/[.[]/)[0];
+    if (EDITING_OPTIONS.some(option => option.id === feature)) {
+      setActiveOption(feature);
+    }
+  }
+
+  // Errors are dropped as soon as the edit changes
+  const fieldErrors = validation && validation.key === editorStateKey ? validation.errors : {};
+
+  // Transition type select plus a duration input when a transition is set
+  function renderTransitionPicker(transition, choices, onChange) {
+    return (
+      <>
+        <select
+          className="feature-select"
+          value={transition ? transition.type : "none"}
+          onChange={(e) => onChange(e.target.value === "none" ? null : {
+            type: e.target.value,
+            duration: transition ? transition.duration : DEFAULT_TRANSITION_SECONDS
+          })}
+        >
+          {choices.map(t => (
+            <option key={t.id} value={t.id}>{t.label}</option>
+          ))}
+        </select>
+        {transition && (
+          <>
+            <input
+              type="number"
+              min="0.1"
+              max={MAX_TRANSITION_SECONDS}
+              step="0.1"
+              value={transition.duration}
+              onChange={(e) => onChange({ ...transition, duration: Math.max(0.1, Math.min(parseFloat(e.target.value) || 0.1, MAX_TRANSITION_SECONDS)) })}
+              className="feature-input-small"
+            />
+            <span className="feature-unit">s</span>
+          </>
+        )}
+      </>
+    );
+  }
+
+  // Window options of the selected PiP insert
+  function renderPipControls(pip) {
+    const field = `insert[${selectedInsertIndex}].pip`;
+    return (
+      <div className="pip-controls">
+        <div className="pip-corners">
+          {PIP_CORNERS.map(corner => (
+            <button
+              key={corner.label}
+              className={`preset-btn-small ${pip.x === corner.x && pip.y === corner.y ? 'active' : ''}`}
+              onClick={() => updateSelectedPip({ x: corner.x, y: corner.y })}
+            >
+              {corner.label}
+            </button>
+          ))}
+        </div>
+        {[["x", "X"], ["y", "Y"], ["scale", "Size"]].map(([key, label]) => (
+          <div className="feature-row" key={key}>
+            <label>{label}:</label>
+            <input
+              type="range"
+              min={key === "scale" ? "0.1" : "0"}
+              max="1"
+              step="0.01"
+              value={pip[key]}
+              onChange={(e) => updateSelectedPip({ [key]: parseFloat(e.target.value) })}
+              style={{ flex: 1 }}
+            />
+            <span className="feature-unit">{Math.round(pip[key] * 100)}%</span>
+          </div>
+        ))}
+        {renderFieldError(`${field}.x`, `${field}.y`, `${field}.scale`)}
+        <div className="feature-row">
+          <label>Border:</label>
+          <input
+            type="number"
+            min="0"
+            max="50"
+            step="1"
+            value={pip.border}
+            onChange={(e) => updateSelectedPip({ border: Math.max(0, Math.min(parseInt(e.target.value, 10) || 0, 50)) })}
+            className="feature-input-small"
+          />
+          <span className="feature-unit">px</span>
+          <input
+            type="color"
+            value={pip.borderColor}
+            onChange={(e) => updateSelectedPip({ borderColor: e.target.value })}
+            disabled={pip.border === 0}
+            className="pip-color"
+          />
+        </div>
+        {renderFieldError(`${field}.border`, `${field}.borderColor`)}
+        <label className="pip-checkbox">
+          <input
+            type="checkbox"
+            checked={pip.rounded}
+            onChange={(e) => updateSelectedPip({ rounded: e.target.checked })}
+          />
+          Rounded corners
+        </label>
+        <label className="pip-checkbox">
+          <input
+            type="checkbox"
+            checked={Boolean(pip.chromaKey)}
+            onChange={(e) => updateSelectedPip({ chromaKey: e.target.checked ? { ...CHROMA_KEY_DEFAULTS } : null })}
+          />
+          Chroma key (green screen)
+        </label>
+        {pip.chromaKey && (
+          <>
+            <div className="feature-row">
+              <label>Key color:</label>
+              <input
+                type="color"
+                value={pip.chromaKey.color}
+                onChange={(e) => updateSelectedPip({ chromaKey: { ...pip.chromaKey, color: e.target.value } })}
+                className="pip-color"
+              />
+              <button
+                className="change-btn-small"
+                onClick={() => setPickingKeyColor(prev => !prev)}
+              >
+                {pickingKeyColor ? "Click the preview..." : "🎯 Pick from preview"}
+              </button>
+            </div>
+            {[["similarity", "Similarity", 0.01], ["blend", "Blend", 0]].map(([key, label, min]) => (
+              <div className="feature-row" key={key}>
+                <label>{label}:</label>
+                <input
+                  type="range"
+                  min={min}
+                  max="1"
+                  step="0.01"
+                  value={pip.chromaKey[key]}
+                  onChange={(e) => updateSelectedPip({ chromaKey: { ...pip.chromaKey, [key]: parseFloat(e.target.value) } })}
+                  style={{ flex: 1 }}
+                />
+                <span className="feature-unit">{pip.chromaKey[key].toFixed(2)}</span>
+              </div>
+            ))}
+            <div style={{ fontSize: '10px', color: '#64748b', fontStyle: 'italic' }}>
+              Set Size to 100% to composite the keyed clip over the whole frame
+            </div>
+            {renderFieldError(`${field}.chromaKey.color`, `${field}.chromaKey.similarity`, `${field}.chromaKey.blend`)}
+          </>
+        )}
+        <div className="feature-row">
+          <label>Audio:</label>
+          <select
+            className="feature-select"
+            value={pip.audio}
+            onChange={(e) => updateSelectedPip({ audio: e.target.value })}
+          >
+            <option value="mix">Mix with main audio</option>
+            <option value="replace">Replace main audio</option>
+            <option value="mute">Mute PiP audio</option>
+          </select>
+        </div>
+        {renderFieldError(`${field}.audio`)}
+      </div>
+    );
+  }
+
+  function renderFieldError(...fields) {
+    const messages = fields.map(field => fieldErrors[field]).filter(Boolean);
+    if (messages.length === 0) return null;
+    return <div className="field-error">⚠️ {messages.join(" · ")}</div>;
+  }
+
+  function featureHasErrors(feature) {
+    return Object.keys(fieldErrors).some(field => field === feature || field.startsWith(feature + ".") || field.startsWith(feature + "["));
+  }
+
+  // Crash recovery: offer the autosaved edit if the last session did not exit cleanly
+  useEffect(() => {
+    window.api.getRecoverySession().then(setRecoverySession);
+  }, []);
+
+  // Latest edit to autosave; nothing is saved while the recovery offer is open so it is not overwritten
+  useEffect(() => {
+    autosaveRef.current = videoSrc && !recoverySession
+      ? JSON.stringify({ project: JSON.parse(editorStateKey), activeOption, projectPath })
+      : null;
+  }, [editorStateKey, activeOption, projectPath, videoSrc, recoverySession]);
+
+  useEffect(() => {
+    let lastSaved = null;
+    const timer = setInterval(() => {
+      const session = autosaveRef.current;
+      if (!session || session === lastSaved) return;
+      lastSaved = session;
+      window.api.autosaveSession(JSON.parse(session));
+    }, AUTOSAVE_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  function restoreSession() {
+    applyProjectState(recoverySession.project);
+    setActiveOption(recoverySession.activeOption || "trim");
+    setProjectPath(recoverySession.projectPath);
+    setRecoverySession(null);
+  }
+
+  function discardSession() {
+    window.api.discardRecoverySession();
+    setRecoverySession(null);
+  }
+
   function calculateFinalDuration() {
     if (!videoDuration) return 0;
     
-    // Start with trimmed base clip duration
-    let finalDuration = clip.duration;
+    // Start with the kept segments of the base clip
+    let finalDuration = keptDuration;
     
-    // Add merge videos duration (sequential merge)
-    // Note: This is an approximation - actual merge duration depends on backend processing
-    if (mergeVideos.length > 0) {
-      // For now, we'll show base duration + note that merge clips will be added
-      // Actual calculation would require metadata from merge videos
-      finalDuration = clip.duration; // Base trimmed duration
-      // Merge videos will extend this, but we can't calculate without their durations
+    // For inserts: depends on mode (sequential extends, overlapping doesn't)
+    // Transitions around a sequential insert overlap the base clip, each can use at most half of the insert
+    inserts.forEach(v => {
+      if (v.mode === "sequential") {
+        finalDuration += v.seconds; // Sequential insert extends duration
+        const maxTransition = (v.seconds - 0.1) / 2;
+        if (v.transitionIn && v.position > 0.1) {
+          finalDuration -= Math.max(0, Math.min(v.transitionIn.duration, maxTransition, v.position - 0.1));
+        }
+        if (v.transitionOut && keptDuration - v.position > 0.1) {
+          finalDuration -= Math.max(0, Math.min(v.transitionOut.duration, maxTransition, keptDuration - v.position - 0.1));
+        }
+      }
+    });
+
+    // Silent freeze frames add their hold; with the audio continuing the video catches up instead
+    freezeFrames.forEach(f => {
+      if (f.audio === "silent") finalDuration += getFreezeHold(f);
+    });
+
+    // Add merge videos duration (in play order around the main video with its inserts)
+    // A transition overlaps the clips it joins; the backend keeps 0.1s of each clip outside it
+    if (mergeClipCount > 0) {
+      const mainDuration = finalDuration;
+      let total = null;
+      mergeVideos.forEach(v => {
+        const clipDuration = v.main ? mainDuration : getMergeClipDuration(v);
+        if (!clipDuration) return; // Not loaded yet
+        if (total === null) {
+          total = clipDuration;
+          return;
+        }
+        const overlap = v.transition ? Math.max(0, Math.min(v.transition.duration, total - 0.1, clipDuration - 0.1)) : 0;
+        total += clipDuration - overlap;
+      });
+      finalDuration = total ?? mainDuration;
     }
-    
-    // For insert: depends on mode (sequential extends, overlapping doesn't)
-    if (insertVideoSrc) {
-      if (insertMode === "sequential") {
-        finalDuration = clip.duration + insertSeconds; // Sequential insert extends duration
-      } else {
-        finalDuration = clip.duration; // Overlapping doesn't extend
+
+    // Boomerangs play their range twice, speed ranges retime parts of the result, then the global speed applies to all of it
+    const boomerangs = reverseEffects
+      .filter(effect => effect.effect === "boomerang")
+      .reduce((total, effect) => total + Math.max(0, Math.min(effect.end ?? finalDuration, finalDuration) - effect.start), 0);
+    return getSpeedRangesDuration(finalDuration + boomerangs) / playbackSpeed;
+  }
+
+  // Length of a timeline once the speed ranges are applied (ramps in steps, like the backend)
+  function getSpeedRangesDuration(duration) {
+    return speedRanges.reduce((total, range) => {
+      const start = Math.min(range.start, duration);
+      const end = Math.min(range.end, duration);
+      if (end <= start) return total;
+      const length = end - start;
+      if (!range.endSpeed || range.endSpeed === range.speed) {
+        return total - length + length / range.speed;
+      }
+      const steps = Math.max(2, Math.min(RAMP_MAX_STEPS, Math.ceil(length / RAMP_STEP_SECONDS)));
+      let retimed = 0;
+      for (let i = 0; i < steps; i++) {
+        retimed += length / steps / (range.speed + ((range.endSpeed - range.speed) * (i + 0.5)) / steps);
       }
+      return total - length + retimed;
+    }, duration);
+  }
+
+  function addSpeedRange() {
+    // Start after the last range so the new one does not overlap it
+    const start = speedRanges.reduce((latest, range) => Math.max(latest, range.end), 0);
+    setSpeedRanges(prev => [...prev, { start, end: start + 2, speed: 0.5, endSpeed: null }]);
+  }
+
+  function addReverseEffect(effect) {
+    // A new effect covers the rest of the video after the last one
+    const start = reverseEffects.reduce((latest, e) => Math.max(latest, e.end ?? e.start), 0);
+    setReverseEffects(prev => [...prev, { start, end: null, effect, audio: "reverse" }]);
+  }
+
+  function addFreezeFrame() {
+    // Freeze positions are on the edited timeline, like insert positions in the backend
+    const position = sourceToEditedTime(segments, trimMode, playhead);
+    if (position === null) {
+      alert("Move the playhead onto a kept part of the clip to freeze it.");
+      return;
     }
-    
-    return finalDuration;
+    setFreezeFrames(prev => [...prev, { position: Math.min(position, Math.max(0, keptDuration - 0.1)), duration: 2, audio: "silent" }]);
+  }
+
+  // Length of a freeze on the edited timeline: the global speed applies after it, so a freeze lasts its duration in the output
+  function getFreezeHold(freeze) {
+    return freeze.duration * playbackSpeed;
+  }
+
+  // Freeze frames laid out on the edited timeline: silent holds and sequential inserts push back what follows them
+  function getFreezeLayout() {
+    const extending = [
+      ...inserts.filter(v => v.mode === "sequential").map(v => ({ position: v.position, length: v.seconds })),
+      ...freezeFrames.filter(f => f.audio === "silent").map(f => ({ position: f.position, length: getFreezeHold(f) }))
+    ];
+    const duration = extending.reduce((total, e) => total + e.length, keptDuration);
+    const blocks = freezeFrames.map(f => ({
+      start: extending.filter(e => e.position < f.position).reduce((total, e) => total + e.length, f.position),
+      length: f.audio === "silent" ? getFreezeHold(f) : Math.max(0, Math.min(getFreezeHold(f), keptDuration - f.position))
+    }));
+    return { duration, blocks };
+  }
+
+  function updateFreezeFrame(index, changes) {
+    setFreezeFrames(prev => prev.map((f, i) => (i === index ? { ...f, ...changes } : f)));
+  }
+
+  function updateReverseEffect(index, changes) {
+    setReverseEffects(prev => prev.map((effect, i) => (i === index ? { ...effect, ...changes } : effect)));
+  }
+
+  function updateSpeedRange(index, changes) {
+    setSpeedRanges(prev => prev.map((range, i) => (i === index ? { ...range, ...changes } : range)));
+  }
+
+  // Overlapping and PiP inserts that run past the end of the base clip
+  function findOverflowingInserts() {
+    return inserts
+      .map((v, i) => ({ number: i + 1, end: v.position + v.seconds, mode: v.mode }))
+      .filter(v => v.mode !== "sequential" && v.end > keptDuration);
+  }
+
+  function describeOverflowingInserts(overflowing) {
+    return overflowing
+      .map(v => `Insert ${v.number} ends at ${formatTime(v.end)} but Base Clip is only ${formatTime(keptDuration)}.`)
+      .join("\n");
   }
 
   async function generatePreview() {
@@ -235,17 +1167,15 @@ export default function App() {
     try {
       const features = getFeatures();
 
-      // Validation: Check overlapping insert doesn't exceed base clip length
-      if (features.insert && features.insert.mode === "overlapping") {
-        const insertEnd = features.insert.position + features.insert.seconds;
-        if (insertEnd > clip.duration) {
-          alert(`⚠️ Warning: Overlapping insert extends beyond Base Clip length.\n\nInsert ends at ${formatTime(insertEnd)} but Base Clip is only ${formatTime(clip.duration)}.\n\nThe insert will be trimmed to fit within the Base Clip.`);
-        }
+      // Validation: Check overlapping inserts don't exceed base clip length
+      const overflowing = findOverflowingInserts();
+      if (overflowing.length > 0) {
+        alert(`⚠️ Warning: Overlapping insert extends beyond Base Clip length.\n\n${describeOverflowingInserts(overflowing)}\n\nThe insert will be trimmed to fit within the Base Clip.`);
       }
 
       // Check if at least one feature is active
       const hasFeatures = features.trim || features.merge || features.insert || 
-                         (features.speed && features.speed !== 1.0) || features.audio;
+                         (features.speed && features.speed !== 1.0) || features.speedRanges || features.reverse || features.freezeFrames || features.audio;
       
       if (!hasFeatures) {
         alert("Please configure at least one editing feature before generating preview.");
@@ -260,9 +1190,11 @@ export default function App() {
       }
       
       // Generate preview with all features
-      const previewPath = await window.api.generatePreview(features, mainVideoPath);
-      if (previewPath) {
-        setPreviewVideoSrc("file://" + previewPath);
+      const result = await window.api.generatePreview(features, mainVideoPath);
+      if (result && result.validationErrors) {
+        showValidationErrors(result.validationErrors);
+      } else if (result) {
+        setPreviewVideoSrc("file://" + result);
         setShowPreview(true);
       }
     } catch (error) {
@@ -270,9 +1202,22 @@ export default function App() {
       alert(`❌ Error generating preview: ${error.message}\n\nPlease check the console for details.`);
     } finally {
       setIsGeneratingPreview(false);
+      setPreviewProgress(null);
     }
   }
 
+  async function cancelJob(jobId) {
+    await window.api.cancelJob(jobId);
+  }
+
+  function describeProgress(progress) {
+    let text = `${JOB_STEP_LABELS[progress.step] || progress.step} · ${Math.round(progress.percent)}%`;
+    if (progress.clips) text += ` · ${progress.clips.done}/${progress.clips.total} clips ${progress.step === "probe" ? "probed" : "rendered"}`;
+    if (progress.fps > 0) text += ` · ${Math.round(progress.fps)} fps`;
+    if (progress.eta !== null && progress.percent < 100) text += ` · ETA ${formatTime(progress.eta)}`;
+    return text;
+  }
+
   function clearPreview() {
     setPreviewVideoSrc(null);
     setShowPreview(false);
@@ -288,21 +1233,19 @@ export default function App() {
     try {
       const features = getFeatures();
 
-      // Validation: Check overlapping insert doesn't exceed base clip length
-      if (features.insert && features.insert.mode === "overlapping") {
-        const insertEnd = features.insert.position + features.insert.seconds;
-        if (insertEnd > clip.duration) {
-          const proceed = confirm(`⚠️ Warning: Overlapping insert extends beyond Base Clip length.\n\nInsert ends at ${formatTime(insertEnd)} but Base Clip is only ${formatTime(clip.duration)}.\n\nThe insert will be trimmed to fit within the Base Clip.\n\nDo you want to continue?`);
-          if (!proceed) {
-            setIsExporting(false);
-            return;
-          }
+      // Validation: Check overlapping inserts don't exceed base clip length
+      const overflowing = findOverflowingInserts();
+      if (overflowing.length > 0) {
+        const proceed = confirm(`⚠️ Warning: Overlapping insert extends beyond Base Clip length.\n\n${describeOverflowingInserts(overflowing)}\n\nThe insert will be trimmed to fit within the Base Clip.\n\nDo you want to continue?`);
+        if (!proceed) {
+          setIsExporting(false);
+          return;
         }
       }
 
       // Check if at least one feature is active
       const hasFeatures = features.trim || features.merge || features.insert || 
-                         (features.speed && features.speed !== 1.0) || features.audio;
+                         (features.speed && features.speed !== 1.0) || features.speedRanges || features.reverse || features.freezeFrames || features.audio;
       
       if (!hasFeatures) {
         alert("Please configure at least one editing feature before exporting.");
@@ -316,12 +1259,13 @@ export default function App() {
         mainVideoPath = mainVideoPath.replace("file://", "");
       }
       
-      // Export with all features, passing the main video path
-      const saved = await window.api.exportVideo(features, mainVideoPath);
-      if (saved) {
-        alert(`✅ Video exported successfully with all features!\n\nSaved at:\n${saved}`);
-      } else {
+      // Queue the export with all features, passing the main video path
+      // Progress and the result show up in the Render Queue panel
+      const job = await window.api.exportVideo(features, mainVideoPath);
+      if (!job) {
         alert("Export cancelled by user");
+      } else if (job.validationErrors) {
+        showValidationErrors(job.validationErrors);
       }
     } catch (error) {
       console.error("Export error:", error);
@@ -332,11 +1276,50 @@ export default function App() {
   }
 
   const canOpenPreview = Boolean(videoSrc);
+  const freezeLayout = getFreezeLayout();
 
   return (
     <div className="app" onMouseMove={handleMove} onMouseUp={() => setDrag(null)}>
       <div className="container">
         <div className="sidebar">
+          {recoverySession && (
+            <div className="recovery-banner">
+              <div className="recovery-banner-text">
+                The last session did not close cleanly. Restore the edit autosaved at {new Date(recoverySession.savedAt).toLocaleString()}?
+              </div>
+              <div className="project-bar-actions">
+                <button className="change-btn-small" onClick={restoreSession}>♻️ Restore</button>
+                <button className="change-btn-small" onClick={discardSession}>Discard</button>
+              </div>
+            </div>
+          )}
+
+          <div className="project-bar">
+            <div className="project-bar-actions">
+              <button className="change-btn-small" onClick={openProject}>📂 Open Project</button>
+              <button className="change-btn-small" onClick={saveProject} disabled={!videoSrc}>💾 Save Project</button>
+            </div>
+            <div className="project-bar-name" title={projectPath || ""}>
+              {projectPath ? projectPath.split(/[/\\]/).pop() : "Unsaved project"}
+            </div>
+            <div className="history-bar">
+              <button className="change-btn-small" onClick={undo} disabled={!history.canUndo} title="Undo (Ctrl+Z)">↶</button>
+              <button className="change-btn-small" onClick={redo} disabled={!history.canRedo} title="Redo (Ctrl+Shift+Z)">↷</button>
+              <select
+                className="history-select"
+                value={history.index}
+                onChange={(e) => jumpToHistory(Number(e.target.value))}
+                disabled={history.entries.length < 2}
+              >
+                {history.entries.map((entry, index) => (
+                  <option key={entry.time + "_" + index} value={index}>
+                    {index + 1}. {entry.label} ({new Date(entry.time).toLocaleTimeString()})
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
           <div className="file-picker" onClick={pickVideo}>
             <div style={{ marginBottom: '8px', fontSize: '12px', fontWeight: 'bold', color: '#818cf8' }}>
               📹 Base Clip
@@ -373,6 +1356,64 @@ export default function App() {
               </div>
             ))}
           </div>
+
+          {queue.jobs.length > 0 && (
+            <div className="render-queue">
+              <h3 className="editing-options-title">Render Queue</h3>
+              {queue.paused && queue.jobs.some(job => job.state === "queued") && (
+                <button className="feature-btn-small" onClick={() => window.api.resumeQueue()} style={{ width: '100%', marginBottom: '8px' }}>
+                  ▶ Resume unfinished jobs
+                </button>
+              )}
+              {queue.jobs.map((job) => (
+                <div key={job.id} className={`queue-job queue-job-${job.state}`}>
+                  <div className="queue-job-header">
+                    <span className="queue-job-name" title={job.outputPath}>{job.outputPath.split(/[/\\]/).pop()}</span>
+                    <span className="queue-job-state">{JOB_STATE_LABELS[job.state] || job.state}</span>
+                  </div>
+                  {job.state === "running" && queueProgress[job.id] && (
+                    <>
+                      <div className="job-progress-stats">{describeProgress(queueProgress[job.id])}</div>
+                      <div className="job-progress-track">
+                        <div className="job-progress-fill" style={{ width: `${queueProgress[job.id].percent}%` }} />
+                      </div>
+                    </>
+                  )}
+                  {job.error && <div className="queue-job-error">{job.error}</div>}
+                  <div className="queue-job-actions">
+                    {(job.state === "queued" || job.state === "running") && (
+                      <button className="change-btn-small" onClick={() => cancelJob(job.id)}>Cancel</button>
+                    )}
+                    {(job.state === "failed" || job.state === "cancelled") && (
+                      <button className="change-btn-small" onClick={() => window.api.retryJob(job.id)}>Retry</button>
+                    )}
+                    {job.state !== "running" && (
+                      <button className="change-btn-small" onClick={() => window.api.removeJob(job.id)}>Remove</button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="render-settings">
+            <h3 className="editing-options-title">Settings</h3>
+            <label className="render-settings-row" title="Threads ffmpeg runs the edit on, and how many merge clips are read at once">
+              <span>Render threads</span>
+              <input
+                type="number"
+                min="0"
+                max="64"
+                step="1"
+                value={settings.renderThreads}
+                onChange={(e) => changeSettings({ renderThreads: Math.max(0, Math.floor(Number(e.target.value) || 0)) })}
+                className="feature-input-small"
+              />
+            </label>
+            <div className="render-settings-hint">
+              {settings.renderThreads > 0 ? `${settings.renderThreads} thread(s)` : "0 = one per CPU core"}
+            </div>
+          </div>
         </div>
 
         <div className="main-content">
@@ -412,9 +1453,11 @@ export default function App() {
                   </div>
                   <div className="video-wrapper-compact" style={{ position: 'relative' }}>
                     <video
+                      ref={previewVideoRef}
                       src={previewVideoSrc || videoSrc}
                       controls
                       onLoadedMetadata={previewVideoSrc ? undefined : onLoadedMetadata}
+                      onTimeUpdate={previewVideoSrc ? undefined : (e) => setPlayhead(e.target.currentTime)}
                       className="preview-video-compact"
                     />
                     {previewVideoSrc && (
@@ -441,8 +1484,8 @@ export default function App() {
                   <div className="timeline-header-compact">
                     <h3>Timeline</h3>
                     <div className="time-info-compact">
-                      <span>Start: {formatTime(clip.start)}</span>
-                      <span>End: {formatTime(clip.start + clip.duration)}</span>
+                      <span>{trimMode === "cut" ? "Cuts" : "Segments"}: {segments.length}</span>
+                      <span>Kept: {formatTime(keptDuration)}</span>
                     </div>
                   </div>
                   <div style={{ 
@@ -457,48 +1500,96 @@ export default function App() {
                   }}>
                     📊 Final Video Duration: {formatTime(calculateFinalDuration())}
                   </div>
+                  {mergeVideos.filter(v => !v.main).map((v, i) => (
+                    <video
+                      key={`${i}-${v.path}`}
+                      src={toFileUrl(v.path)}
+                      preload="metadata"
+                      onLoadedMetadata={(e) => {
+                        const dur = e.target.duration;
+                        if (dur && dur > 0) setMergeDurations(prev => ({ ...prev, [v.path]: dur }));
+                      }}
+                      style={{ display: 'none' }}
+                    />
+                  ))}
                   <div 
                     id="timeline" 
                     ref={timelineRef}
                     className="timeline-compact"
                     onClick={(e) => {
-                      if (activeOption === "insert" && videoDuration > 0) {
+                      if (videoDuration > 0) {
                         const timeline = timelineRef.current?.getBoundingClientRect();
                         if (timeline) {
                           const proportion = (e.clientX - timeline.left) / timeline.width;
                           const newPosition = Math.max(0, Math.min(proportion * videoDuration, videoDuration));
-                          setInsertPosition(newPosition);
+                          if (activeOption === "insert" && insert) {
+                            // Insert positions are on the edited timeline, the timeline shows the base clip
+                            const position = sourceToEditedTime(segments, trimMode, newPosition);
+                            if (position === null) {
+                              alert("Click a kept part of the clip to place the insert there.");
+                              return;
+                            }
+                            updateSelectedInsert({ position });
+                          } else if (activeOption === "trim" || activeOption === "insert") {
+                            seekTo(newPosition);
+                          }
                         }
                       }
                     }}
-                    style={{ cursor: activeOption === "insert" ? "pointer" : "default" }}
+                    style={{ cursor: activeOption === "insert" || activeOption === "trim" ? "pointer" : "default" }}
                   >
-                    <div
-                      className="clip-selection"
-                      style={{
-                        left: videoDuration ? `${(clip.start / videoDuration) * 100}%` : "0%",
-                        width: videoDuration ? `${(clip.duration / videoDuration) * 100}%` : "0%"
-                      }}
-                    >
-                      <div className="clip-handle clip-handle-left"
-                        onMouseDown={(e) => { e.stopPropagation(); setDrag("left"); }}
-                      />
-                      <div className="clip-content">CLIP</div>
-                      <div className="clip-handle clip-handle-right"
-                        onMouseDown={(e) => { e.stopPropagation(); setDrag("right"); }}
-                      />
-                    </div>
-                    {activeOption === "insert" && videoDuration > 0 && (
+                    {segments.map((segment, i) => (
                       <div
-                        className="insert-marker"
+                        key={i}
+                        className={`clip-selection ${trimMode === "cut" ? "cut" : ""} ${i === selectedIndex ? "selected" : ""}`}
                         style={{
-                          left: `${(insertPosition / videoDuration) * 100}%`
+                          left: videoDuration ? `${(segment.start / videoDuration) * 100}%` : "0%",
+                          width: videoDuration ? `${(segment.duration / videoDuration) * 100}%` : "0%"
                         }}
+                        onClick={() => setSelectedSegment(i)}
                       >
-                        <div className="insert-marker-line"></div>
+                        <div className="clip-handle clip-handle-left"
+                          onMouseDown={(e) => { e.stopPropagation(); setSelectedSegment(i); setDrag("left"); }}
+                        />
+                        <div className="clip-content">{trimMode === "cut" ? `CUT ${i + 1}` : (segments.length > 1 ? i + 1 : "CLIP")}</div>
+                        <div className="clip-handle clip-handle-right"
+                          onMouseDown={(e) => { e.stopPropagation(); setSelectedSegment(i); setDrag("right"); }}
+                        />
                       </div>
+                    ))}
+                    {(activeOption === "trim" || activeOption === "insert") && videoDuration > 0 && (
+                      <div className="timeline-playhead" style={{ left: `${(playhead / videoDuration) * 100}%` }} />
                     )}
+                    {videoDuration > 0 && inserts.map((v, i) => (
+                      <div
+                        key={i}
+                        className={`insert-marker ${activeOption === "insert" && i === selectedInsertIndex ? "selected" : ""}`}
+                        style={{
+                          left: `${(Math.min(editedToSourceTime(segments, trimMode, v.position), videoDuration) / videoDuration) * 100}%`
+                        }}
+                        title={`Insert ${i + 1} at ${formatTime(v.position)} of the edit`}
+                      >
+                        <div className="insert-marker-line"></div>
+                      </div>
+                    ))}
                   </div>
+                  {keptDuration > 0 && freezeFrames.length > 0 && (
+                    <div className="freeze-lane" title="Edited timeline">
+                      {freezeLayout.blocks.map((block, i) => (
+                        <div
+                          key={i}
+                          className="freeze-marker"
+                          style={{
+                            left: `${(Math.min(block.start, freezeLayout.duration) / freezeLayout.duration) * 100}%`,
+                            width: `${(block.length / freezeLayout.duration) * 100}%`
+                          }}
+                          title={`Freeze ${i + 1}: ${freezeFrames[i].duration}s at ${formatTime(freezeFrames[i].position)} of the edit`}
+                        >
+                          ❄️
+                        </div>
+                      ))}
+                    </div>
+                  )}
                 </div>
 
                 {/* All Features in Compact Tabs */}
@@ -508,56 +1599,115 @@ export default function App() {
                     <div className="feature-header">
                       <span className="feature-icon">✂️</span>
                       <span className="feature-title">Trim</span>
+                      {featureHasErrors("trim") && <span className="feature-badge feature-badge-error">!</span>}
                     </div>
                     {activeOption === "trim" && (
                       <div className="feature-content">
-                        <div className="feature-info" style={{ marginBottom: '15px' }}>
-                          Selected: {formatTime(clip.start)} - {formatTime(clip.start + clip.duration)}
+                        <div style={{ display: 'flex', gap: '5px', marginBottom: '5px' }}>
+                          <button
+                            className={`preset-btn-small ${trimMode === "keep" ? 'active' : ''}`}
+                            onClick={() => changeTrimMode("keep")}
+                            style={{ flex: 1 }}
+                          >
+                            ✅ Keep Segments
+                          </button>
+                          <button
+                            className={`preset-btn-small ${trimMode === "cut" ? 'active' : ''}`}
+                            onClick={() => changeTrimMode("cut")}
+                            style={{ flex: 1 }}
+                          >
+                            🗑️ Cut Out Ranges
+                          </button>
                         </div>
-                        <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
-                          <div className="feature-row">
-                            <label>Start Time:</label>
-                            <input
-                              type="number"
-                              min="0"
-                              max={videoDuration}
-                              step="0.1"
-                              value={clip.start}
-                              onChange={(e) => {
-                                const newStart = Math.max(0, Math.min(parseFloat(e.target.value) || 0, videoDuration));
-                                const maxDuration = videoDuration - newStart;
-                                setClip(prev => ({
-                                  start: newStart,
-                                  duration: Math.min(prev.duration, maxDuration)
-                                }));
-                              }}
-                              className="feature-input-small"
-                            />
-                            <span className="feature-unit">s</span>
-                          </div>
-                          <div className="feature-row">
-                            <label>End Time:</label>
-                            <input
-                              type="number"
-                              min={clip.start + 0.1}
-                              max={videoDuration}
-                              step="0.1"
-                              value={clip.start + clip.duration}
-                              onChange={(e) => {
-                                const newEnd = Math.max(clip.start + 0.1, Math.min(parseFloat(e.target.value) || clip.start + 0.1, videoDuration));
-                                setClip(prev => ({
-                                  ...prev,
-                                  duration: newEnd - prev.start
-                                }));
-                              }}
-                              className="feature-input-small"
-                            />
-                            <span className="feature-unit">s</span>
+                        <div style={{ fontSize: '10px', color: '#64748b', marginBottom: '10px', fontStyle: 'italic' }}>
+                          {trimMode === "keep"
+                            ? "Only the marked segments are kept, joined in timeline order"
+                            : "The marked ranges are removed and the gaps closed"}
+                        </div>
+                        {renderFieldError("trim.mode")}
+                        <div className="segment-actions">
+                          <button className="feature-btn-small" onClick={addSegment} disabled={!videoDuration}>
+                            {trimMode === "cut" ? "+ Mark Range to Cut" : "+ Add"}
+                          </button>
+                          {trimMode === "keep" && (
+                            <button className="feature-btn-small" onClick={splitSegmentAtPlayhead} disabled={!videoDuration}>
+                              ✂️ Split at {formatTime(playhead)}
+                            </button>
+                          )}
+                        </div>
+                        {renderFieldError("trim")}
+                        <div className="merge-list-compact">
+                          {segments.map((segment, i) => (
+                            <div
+                              key={i}
+                              className={`merge-item-compact segment-item ${i === selectedIndex ? "selected" : ""}`}
+                              onClick={() => setSelectedSegment(i)}
+                            >
+                              {i + 1}. {formatTime(segment.start)} - {formatTime(segment.start + segment.duration)}
+                              <button
+                                className="remove-btn-small"
+                                onClick={(e) => { e.stopPropagation(); deleteSegment(i); }}
+                                disabled={trimMode === "keep" && segments.length <= 1}
+                              >
+                                ✕
+                              </button>
+                              {renderFieldError(`trim.segments[${i}]`, `trim.segments[${i}].start`, `trim.segments[${i}].end`)}
+                            </div>
+                          ))}
+                        </div>
+                        {clip ? (
+                          <div style={{ display: 'flex', flexDirection: 'column', gap: '10px', marginTop: '10px' }}>
+                            <div className="feature-row">
+                              <label>Start Time:</label>
+                              <input
+                                type="number"
+                                min="0"
+                                max={videoDuration}
+                                step="0.1"
+                                value={clip.start}
+                                onChange={(e) => {
+                                  updateSelectedSegment((prev, bounds) => {
+                                    const newStart = Math.max(bounds.min, Math.min(parseFloat(e.target.value) || 0, bounds.max - MIN_SEGMENT_SECONDS));
+                                    return {
+                                      start: newStart,
+                                      duration: Math.min(prev.duration, bounds.max - newStart)
+                                    };
+                                  });
+                                }}
+                                className="feature-input-small"
+                              />
+                              <span className="feature-unit">s</span>
+                            </div>
+                            <div className="feature-row">
+                              <label>End Time:</label>
+                              <input
+                                type="number"
+                                min={clip.start + 0.1}
+                                max={videoDuration}
+                                step="0.1"
+                                value={clip.start + clip.duration}
+                                onChange={(e) => {
+                                  updateSelectedSegment((prev, bounds) => {
+                                    const newEnd = Math.max(prev.start + 0.1, Math.min(parseFloat(e.target.value) || prev.start + 0.1, bounds.max));
+                                    return {
+                                      ...prev,
+                                      duration: newEnd - prev.start
+                                    };
+                                  });
+                                }}
+                                className="feature-input-small"
+                              />
+                              <span className="feature-unit">s</span>
+                            </div>
+                            <div className="feature-info" style={{ fontSize: '11px', color: '#94a3b8', marginTop: '5px' }}>
+                              {trimMode === "cut" ? "Cut" : "Segment"} {selectedIndex + 1}: {formatTime(clip.duration)} · Total kept: {formatTime(keptDuration)}
+                            </div>
                           </div>
-                          <div className="feature-info" style={{ fontSize: '11px', color: '#94a3b8', marginTop: '5px' }}>
-                            Duration: {formatTime(clip.duration)}
+                        ) : (
+                          <div className="feature-info" style={{ fontSize: '11px', color: '#94a3b8', marginTop: '10px' }}>
+                            No ranges marked. Total kept: {formatTime(keptDuration)}
                           </div>
-                        </div>
+                        )}
                       </div>
                     )}
                   </div>
@@ -567,26 +1717,149 @@ export default function App() {
                     <div className="feature-header">
                       <span className="feature-icon">🔗</span>
                       <span className="feature-title">Merge</span>
-                      {mergeVideos.length > 0 && <span className="feature-badge">{mergeVideos.length}</span>}
+                      {(featureHasErrors("merge") || featureHasErrors("mergeOutput")) && <span className="feature-badge feature-badge-error">!</span>}
+                      {mergeClipCount > 0 && <span className="feature-badge">{mergeClipCount}</span>}
                     </div>
                     {activeOption === "merge" && (
                       <div className="feature-content">
                         <div style={{ marginBottom: '10px', fontSize: '11px', color: '#94a3b8', fontWeight: 'bold' }}>
-                          🎬 Insert Clips (will be merged sequentially)
+                          🎬 Insert Clips (will be merged sequentially, drag to reorder)
                         </div>
                         <button className="feature-btn-small" onClick={pickMergeVideo}>
                           + Add Insert Clip
                         </button>
+                        {renderFieldError("merge")}
                         {mergeVideos.length > 0 && (
                           <div className="merge-list-compact">
                             {mergeVideos.map((v, i) => (
-                              <div key={i} className="merge-item-compact">
-                                {v.name}
-                                <button className="remove-btn-small" onClick={() => setMergeVideos(prev => prev.filter((_, idx) => idx !== i))}>✕</button>
+                              <div
+                                key={i}
+                                className={`merge-item-compact merge-item-sortable ${v.main ? "merge-item-main" : ""}`}
+                                draggable
+                                onDragStart={() => { dragMergeIndexRef.current = i; }}
+                                onDragOver={(e) => e.preventDefault()}
+                                onDrop={(e) => {
+                                  e.preventDefault();
+                                  moveMergeClip(dragMergeIndexRef.current, i);
+                                  dragMergeIndexRef.current = null;
+                                }}
+                              >
+                                <span className="merge-drag-handle">⠿</span>
+                                <video
+                                  className="merge-thumb"
+                                  src={`${v.main ? videoSrc : toFileUrl(v.path)}#t=${v.main ? 0 : v.start || 0}`}
+                                  preload="metadata"
+                                  muted
+                                />
+                                <div className="merge-item-info">
+                                  <span className="merge-item-name">{v.main ? "Main video" : v.name}</span>
+                                  <span className="merge-item-duration">
+                                    {v.main
+                                      ? formatTime(keptDuration)
+                                      : mergeDurations[v.path] ? `${formatTime(getMergeClipDuration(v))} of ${formatTime(mergeDurations[v.path])}` : "…"}
+                                  </span>
+                                </div>
+                                {!v.main && (
+                                  <button className="remove-btn-small" onClick={() => removeMergeClip(i)}>✕</button>
+                                )}
+                                {!v.main && (
+                                  <div className="merge-transition">
+                                    <label>In:</label>
+                                    <input
+                                      type="number"
+                                      min="0"
+                                      max={mergeDurations[v.path] || undefined}
+                                      step="0.1"
+                                      value={v.start || 0}
+                                      onChange={(e) => setMergeClipRange(i, parseFloat(e.target.value) || 0, v.end ?? null)}
+                                      className="feature-input-small"
+                                    />
+                                    <label>Out:</label>
+                                    <input
+                                      type="number"
+                                      min="0"
+                                      max={mergeDurations[v.path] || undefined}
+                                      step="0.1"
+                                      value={v.end ?? mergeDurations[v.path] ?? ""}
+                                      onChange={(e) => setMergeClipRange(i, v.start || 0, parseFloat(e.target.value) || null)}
+                                      className="feature-input-small"
+                                    />
+                                    <span className="feature-unit">s</span>
+                                  </div>
+                                )}
+                                <div className="merge-transition">
+                                  <span>Fit:</span>
+                                  <select
+                                    className="feature-select"
+                                    value={v.fit || "letterbox"}
+                                    onChange={(e) => setMergeFit(i, e.target.value)}
+                                  >
+                                    {MERGE_FITS.map(f => (
+                                      <option key={f.id} value={f.id}>{f.label}</option>
+                                    ))}
+                                  </select>
+                                </div>
+                                {i > 0 && (
+                                  <div className="merge-transition">
+                                    <span>↳ from previous:</span>
+                                    {renderTransitionPicker(v.transition, MERGE_TRANSITIONS, transition => setMergeTransition(i, transition))}
+                                  </div>
+                                )}
+                                {renderFieldError(
+                                  `merge[${i}]`, `merge[${i}].path`, `merge[${i}].start`, `merge[${i}].end`, `merge[${i}].fit`,
+                                  `merge[${i}].transition.type`, `merge[${i}].transition.duration`
+                                )}
                               </div>
                             ))}
                           </div>
                         )}
+                        {mergeClipCount > 0 && (
+                          <div className="merge-output">
+                            <label>Output:</label>
+                            <select
+                              className="feature-select"
+                              value={mergeOutput.target}
+                              onChange={(e) => changeMergeTarget(e.target.value)}
+                            >
+                              {MERGE_TARGETS.map(t => (
+                                <option key={t.id} value={t.id}>{t.label}</option>
+                              ))}
+                            </select>
+                            {mergeOutput.target === "custom" && (
+                              <div className="merge-transition">
+                                <input
+                                  type="number"
+                                  min="16"
+                                  step="2"
+                                  value={mergeOutput.width ?? ""}
+                                  onChange={(e) => setMergeOutput(prev => ({ ...prev, width: parseInt(e.target.value) || null }))}
+                                  className="feature-input-small"
+                                />
+                                <span className="feature-unit">×</span>
+                                <input
+                                  type="number"
+                                  min="16"
+                                  step="2"
+                                  value={mergeOutput.height ?? ""}
+                                  onChange={(e) => setMergeOutput(prev => ({ ...prev, height: parseInt(e.target.value) || null }))}
+                                  className="feature-input-small"
+                                />
+                                <span className="feature-unit">@</span>
+                                <input
+                                  type="number"
+                                  min="1"
+                                  max="120"
+                                  placeholder="main"
+                                  value={mergeOutput.fps ?? ""}
+                                  onChange={(e) => setMergeOutput(prev => ({ ...prev, fps: parseFloat(e.target.value) || null }))}
+                                  className="feature-input-small"
+                                />
+                                <span className="feature-unit">fps</span>
+                              </div>
+                            )}
+                            {renderFieldError("mergeOutput", "mergeOutput.target", "mergeOutput.width", "mergeOutput.height", "mergeOutput.fps")}
+                          </div>
+                        )}
                       </div>
                     )}
                   </div>
@@ -596,94 +1869,284 @@ export default function App() {
                     <div className="feature-header">
                       <span className="feature-icon">➕</span>
                       <span className="feature-title">Insert</span>
-                      {insertVideoSrc && <span className="feature-badge">✓</span>}
+                      {(featureHasErrors("insert") || featureHasErrors("freezeFrames")) && <span className="feature-badge feature-badge-error">!</span>}
+                      {inserts.length > 0 && <span className="feature-badge">{inserts.length}</span>}
+                      {freezeFrames.length > 0 && <span className="feature-badge">❄️</span>}
                     </div>
                     {activeOption === "insert" && (
                       <div className="feature-content">
                         <div style={{ marginBottom: '10px', fontSize: '11px', color: '#94a3b8', fontWeight: 'bold' }}>
-                          🎬 Insert Clip
+                          🎬 Insert Clips (click the timeline to place the selected one)
                         </div>
-                        <div style={{ marginBottom: '10px' }}>
-                          <label style={{ fontSize: '12px', fontWeight: 'bold', marginBottom: '5px', display: 'block', color: '#e2e8f0' }}>
-                            Insert Mode:
-                          </label>
-                          <div style={{ display: 'flex', flexDirection: 'column', gap: '5px' }}>
-                            <button
-                              className={`preset-btn-small ${insertMode === "sequential" ? 'active' : ''}`}
-                              onClick={() => setInsertMode("sequential")}
-                              style={{ width: '100%', textAlign: 'left', padding: '5px 10px' }}
-                            >
-                              ➡️ Sequential Insert (extends timeline)
-                            </button>
-                            <button
-                              className={`preset-btn-small ${insertMode === "overlapping" ? 'active' : ''}`}
-                              onClick={() => setInsertMode("overlapping")}
-                              style={{ width: '100%', textAlign: 'left', padding: '5px 10px' }}
-                            >
-                              🔀 Overlapping Insert (overlays base clip)
-                            </button>
-                          </div>
-                          <div style={{ fontSize: '10px', color: '#64748b', marginTop: '5px', fontStyle: 'italic' }}>
-                            {insertMode === "sequential" 
-                              ? "Insert clip will push base timeline forward. Final duration = Base + Insert"
-                              : "Insert clip will overlay base clip. Final duration = Base Clip duration"}
-                          </div>
-                        </div>
-                        <div className="feature-row">
-                          <label>Position:</label>
-                          <input
-                            type="number"
-                            min="0"
-                            max={videoDuration}
-                            step="0.1"
-                            value={insertPosition}
-                            onChange={(e) => setInsertPosition(Math.max(0, Math.min(parseFloat(e.target.value) || 0, videoDuration)))}
-                            className="feature-input-small"
-                          />
-                          <span className="feature-unit">s</span>
-                        </div>
-                        <div className="feature-row">
-                          <label>Duration:</label>
-                          <input
-                            type="number"
-                            min="0.1"
-                            max={insertVideoDuration || 1000}
-                            step="0.1"
-                            value={insertSeconds}
-                            onChange={(e) => {
-                              const newDuration = Math.max(0.1, Math.min(parseFloat(e.target.value) || 0.1, insertVideoDuration || 1000));
-                              setInsertSeconds(newDuration);
-                              // Validate overlapping mode
-                              if (insertMode === "overlapping" && insertPosition + newDuration > clip.duration) {
-                                // Will show warning in validation
-                              }
-                            }}
-                            className="feature-input-small"
-                          />
-                          <span className="feature-unit">s</span>
-                        </div>
-                        {insertMode === "overlapping" && insertPosition + insertSeconds > clip.duration && (
-                          <div style={{ 
-                            marginTop: '5px', 
-                            padding: '8px', 
-                            backgroundColor: '#7f1d1d', 
-                            color: '#fca5a5', 
-                            borderRadius: '6px',
-                            fontSize: '11px',
-                            fontWeight: 'bold',
-                            border: '1px solid #991b1b'
-                          }}>
-                            ⚠️ Warning: Insert extends beyond Base Clip length
+                        <button className="feature-btn-small" onClick={() => pickInsertVideo(false)}>
+                          + Add Insert Clip
+                        </button>
+                        {renderFieldError("insert")}
+                        {inserts.length > 0 && (
+                          <div className="merge-list-compact">
+                            {inserts.map((v, i) => (
+                              <div
+                                key={i}
+                                className={`merge-item-compact segment-item ${i === selectedInsertIndex ? "selected" : ""}`}
+                                onClick={() => setSelectedInsert(i)}
+                              >
+                                {i + 1}. {v.video.split(/[/\\]/).pop()} @ {formatTime(v.position)}
+                                <button
+                                  className="remove-btn-small"
+                                  onClick={(e) => { e.stopPropagation(); removeInsert(i); }}
+                                >
+                                  ✕
+                                </button>
+                                {renderFieldError(`insert[${i}]`, `insert[${i}].video`)}
+                                <video
+                                  src={v.video}
+                                  onLoadedMetadata={(e) => onInsertVideoMetadata(e, v.video)}
+                                  preload="metadata"
+                                  style={{ display: 'none' }}
+                                />
+                              </div>
+                            ))}
                           </div>
                         )}
-                        {!insertVideoSrc ? (
-                          <button className="feature-btn-small" onClick={pickInsertVideo}>
-                            + Select Insert Clip
-                          </button>
-                        ) : (
-                          <div className="feature-video-selected">
-                            Insert Clip selected
-                            <button className="change-btn-small" onClick={pickInsertVideo}>Change</button>
+                        {insert && (
+                          <>
+                            <div style={{ marginBottom: '10px', marginTop: '10px' }}>
+                              <label style={{ fontSize: '12px', fontWeight: 'bold', marginBottom: '5px', display: 'block', color: '#e2e8f0' }}>
+                                Insert {selectedInsertIndex + 1} Mode:
+                              </label>
+                              <div style={{ display: 'flex', flexDirection: 'column', gap: '5px' }}>
+                                <button
+                                  className={`preset-btn-small ${insert.mode === "sequential" ? 'active' : ''}`}
+                                  onClick={() => changeInsertMode("sequential")}
+                                  style={{ width: '100%', textAlign: 'left', padding: '5px 10px' }}
+                                >
+                                  ➡️ Sequential Insert (extends timeline)
+                                </button>
+                                <button
+                                  className={`preset-btn-small ${insert.mode === "overlapping" ? 'active' : ''}`}
+                                  onClick={() => changeInsertMode("overlapping")}
+                                  style={{ width: '100%', textAlign: 'left', padding: '5px 10px' }}
+                                >
+                                  🔀 Overlapping Insert (overlays base clip)
+                                </button>
+                                <button
+                                  className={`preset-btn-small ${insert.mode === "pip" ? 'active' : ''}`}
+                                  onClick={() => changeInsertMode("pip")}
+                                  style={{ width: '100%', textAlign: 'left', padding: '5px 10px' }}
+                                >
+                                  🖼️ Picture-in-Picture (window over base clip)
+                                </button>
+                              </div>
+                              <div style={{ fontSize: '10px', color: '#64748b', marginTop: '5px', fontStyle: 'italic' }}>
+                                {insert.mode === "sequential" 
+                                  ? "Insert clip will push the base timeline (and later inserts) forward. Final duration = Base + Insert"
+                                  : insert.mode === "pip"
+                                  ? "Insert clip plays in a small window over the base clip. Final duration = Base Clip duration"
+                                  : "Insert clip will overlay base clip. Final duration = Base Clip duration"}
+                              </div>
+                              {renderFieldError(`insert[${selectedInsertIndex}].mode`)}
+                            </div>
+                            <div className="feature-row">
+                              <label>Position:</label>
+                              <input
+                                type="number"
+                                min="0"
+                                max={keptDuration}
+                                step="0.1"
+                                value={insert.position}
+                                onChange={(e) => updateSelectedInsert({ position: Math.max(0, Math.min(parseFloat(e.target.value) || 0, keptDuration)) })}
+                                className="feature-input-small"
+                              />
+                              <span className="feature-unit">s</span>
+                            </div>
+                            {renderFieldError(`insert[${selectedInsertIndex}].position`)}
+                            <div className="feature-row">
+                              <label>Duration:</label>
+                              <input
+                                type="number"
+                                min="0.1"
+                                max={insertSourceDuration ? insertSourceDuration - insert.sourceStart : 1000}
+                                step="0.1"
+                                value={insert.seconds}
+                                onChange={(e) => setInsertRange(insert.sourceStart, insert.sourceStart + (parseFloat(e.target.value) || 0.1))}
+                                className="feature-input-small"
+                              />
+                              <span className="feature-unit">s</span>
+                            </div>
+                            {renderFieldError(`insert[${selectedInsertIndex}].seconds`)}
+                            <div style={{ marginTop: '10px', fontSize: '11px', color: '#94a3b8', fontWeight: 'bold' }}>
+                              🎞️ Source Range (part of the clip to insert)
+                            </div>
+                            <div className="insert-preview-wrap">
+                              <video
+                                ref={insertPreviewRef}
+                                key={insert.video}
+                                src={insert.video}
+                                className="insert-preview"
+                                controls
+                                onLoadedMetadata={(e) => { e.target.currentTime = insert.sourceStart; }}
+                              />
+                              {pickingKeyColor && (
+                                <div className="color-pick-overlay" onClick={pickKeyColor} title="Click the background color to key out" />
+                              )}
+                            </div>
+                            <div
+                              ref={insertTimelineRef}
+                              className="timeline-compact insert-range-timeline"
+                              onClick={(e) => {
+                                const timeline = insertTimelineRef.current?.getBoundingClientRect();
+                                if (timeline && insertSourceDuration > 0) {
+                                  seekInsertPreview(Math.max(0, Math.min((e.clientX - timeline.left) / timeline.width, 1)) * insertSourceDuration);
+                                }
+                              }}
+                            >
+                              {insertSourceDuration > 0 && (
+                                <div
+                                  className="clip-selection insert-range"
+                                  style={{
+                                    left: `${(insert.sourceStart / insertSourceDuration) * 100}%`,
+                                    width: `${(Math.min(insert.seconds, insertSourceDuration - insert.sourceStart) / insertSourceDuration) * 100}%`
+                                  }}
+                                >
+                                  <div className="clip-handle clip-handle-left"
+                                    onMouseDown={(e) => { e.stopPropagation(); setDrag("insert-in"); }}
+                                  />
+                                  <div className="clip-content">{formatTime(insert.seconds)}</div>
+                                  <div className="clip-handle clip-handle-right"
+                                    onMouseDown={(e) => { e.stopPropagation(); setDrag("insert-out"); }}
+                                  />
+                                </div>
+                              )}
+                            </div>
+                            <div className="feature-row">
+                              <label>In:</label>
+                              <input
+                                type="number"
+                                min="0"
+                                max={insertSourceDuration || undefined}
+                                step="0.1"
+                                value={insert.sourceStart}
+                                onChange={(e) => setInsertRange(parseFloat(e.target.value) || 0, insert.sourceStart + insert.seconds)}
+                                className="feature-input-small"
+                              />
+                              <span className="feature-unit">s</span>
+                              <button
+                                className="change-btn-small"
+                                onClick={() => insertPreviewRef.current && setInsertRange(insertPreviewRef.current.currentTime, insert.sourceStart + insert.seconds)}
+                              >
+                                Set In
+                              </button>
+                            </div>
+                            <div className="feature-row">
+                              <label>Out:</label>
+                              <input
+                                type="number"
+                                min="0"
+                                max={insertSourceDuration || undefined}
+                                step="0.1"
+                                value={insert.sourceStart + insert.seconds}
+                                onChange={(e) => setInsertRange(insert.sourceStart, parseFloat(e.target.value) || 0)}
+                                className="feature-input-small"
+                              />
+                              <span className="feature-unit">s</span>
+                              <button
+                                className="change-btn-small"
+                                onClick={() => insertPreviewRef.current && setInsertRange(insert.sourceStart, insertPreviewRef.current.currentTime)}
+                              >
+                                Set Out
+                              </button>
+                            </div>
+                            {renderFieldError(`insert[${selectedInsertIndex}].sourceStart`)}
+                            {insert.mode === "pip" && renderPipControls({ ...PIP_DEFAULTS, ...insert.pip })}
+                            {insert.mode !== "pip" && (
+                              <div className="insert-transitions">
+                                {[["transitionIn", "In"], ["transitionOut", "Out"]].map(([key, label]) => (
+                                  <div className="merge-transition" key={key}>
+                                    <span>{label}:</span>
+                                    {renderTransitionPicker(insert[key], INSERT_TRANSITIONS, transition => updateSelectedInsert({ [key]: transition }))}
+                                  </div>
+                                ))}
+                                <div style={{ fontSize: '10px', color: '#64748b', fontStyle: 'italic' }}>
+                                  {insert.mode === "sequential"
+                                    ? "Transitions overlap the base clip around the insert, shortening the result"
+                                    : "Transitions blend with the part of the base clip the insert covers"}
+                                </div>
+                                {renderFieldError(
+                                  `insert[${selectedInsertIndex}].transitionIn.type`, `insert[${selectedInsertIndex}].transitionIn.duration`,
+                                  `insert[${selectedInsertIndex}].transitionOut.type`, `insert[${selectedInsertIndex}].transitionOut.duration`
+                                )}
+                              </div>
+                            )}
+                            {insert.mode !== "sequential" && insert.position + insert.seconds > keptDuration && (
+                              <div style={{ 
+                                marginTop: '5px', 
+                                padding: '8px', 
+                                backgroundColor: '#7f1d1d', 
+                                color: '#fca5a5', 
+                                borderRadius: '6px',
+                                fontSize: '11px',
+                                fontWeight: 'bold',
+                                border: '1px solid #991b1b'
+                              }}>
+                                ⚠️ Warning: Insert extends beyond Base Clip length
+                              </div>
+                            )}
+                            <div className="feature-video-selected">
+                              Insert Clip {selectedInsertIndex + 1} selected
+                              <button className="change-btn-small" onClick={() => pickInsertVideo(true)}>Change</button>
+                            </div>
+                          </>
+                        )}
+                        <div style={{ margin: '15px 0 10px', fontSize: '11px', color: '#94a3b8', fontWeight: 'bold' }}>
+                          ❄️ Freeze Frames (hold the frame under the playhead; positions are on the edited timeline)
+                        </div>
+                        <button className="feature-btn-small" onClick={addFreezeFrame} disabled={!videoSrc}>
+                          + Freeze Frame at {formatTime(playhead)}
+                        </button>
+                        {renderFieldError("freezeFrames")}
+                        {freezeFrames.length > 0 && (
+                          <div className="merge-list-compact">
+                            {freezeFrames.map((f, i) => (
+                              <div key={i} className="merge-item-compact">
+                                <div className="merge-transition">
+                                  <span className="feature-unit">@</span>
+                                  <input
+                                    type="number"
+                                    min="0"
+                                    step="0.1"
+                                    value={f.position}
+                                    onChange={(e) => updateFreezeFrame(i, { position: Math.max(0, parseFloat(e.target.value) || 0) })}
+                                    className="feature-input-small"
+                                  />
+                                  <span className="feature-unit">s, hold</span>
+                                  <input
+                                    type="number"
+                                    min="0.1"
+                                    max="60"
+                                    step="0.1"
+                                    value={f.duration}
+                                    onChange={(e) => updateFreezeFrame(i, { duration: Math.max(0.1, Math.min(parseFloat(e.target.value) || 0.1, 60)) })}
+                                    className="feature-input-small"
+                                  />
+                                  <span className="feature-unit">s</span>
+                                </div>
+                                <button className="remove-btn-small" onClick={() => setFreezeFrames(prev => prev.filter((_, idx) => idx !== i))}>✕</button>
+                                <div className="merge-transition">
+                                  <select
+                                    className="feature-select"
+                                    value={f.audio}
+                                    onChange={(e) => updateFreezeFrame(i, { audio: e.target.value })}
+                                  >
+                                    <option value="silent">🔇 Silent (adds the hold)</option>
+                                    <option value="continue">🔊 Audio continues underneath</option>
+                                  </select>
+                                </div>
+                                {renderFieldError(
+                                  `freezeFrames[${i}]`, `freezeFrames[${i}].position`,
+                                  `freezeFrames[${i}].duration`, `freezeFrames[${i}].audio`
+                                )}
+                              </div>
+                            ))}
                           </div>
                         )}
                       </div>
@@ -695,26 +2158,202 @@ export default function App() {
                     <div className="feature-header">
                       <span className="feature-icon">⚡</span>
                       <span className="feature-title">Speed</span>
+                      {(featureHasErrors("speed") || featureHasErrors("speedRanges") || featureHasErrors("speedAudio") || featureHasErrors("speedVideo") || featureHasErrors("reverse")) && <span className="feature-badge feature-badge-error">!</span>}
                       {playbackSpeed !== 1.0 && <span className="feature-badge">{playbackSpeed}x</span>}
+                      {speedRanges.length > 0 && <span className="feature-badge">{speedRanges.length} ⏱</span>}
+                      {reverseEffects.length > 0 && <span className="feature-badge">⏪</span>}
                     </div>
                     {activeOption === "speed" && (
                       <div className="feature-content">
                         <div className="speed-display-compact">{playbackSpeed}x</div>
                         <input
                           type="range"
-                          min="0.25"
-                          max="4"
-                          step="0.25"
-                          value={playbackSpeed}
-                          onChange={(e) => setPlaybackSpeed(parseFloat(e.target.value))}
+                          min={Math.log2(SPEED_MIN)}
+                          max={Math.log2(SPEED_MAX)}
+                          step="0.05"
+                          value={Math.log2(playbackSpeed)}
+                          onChange={(e) => setPlaybackSpeed(Math.round(2 ** parseFloat(e.target.value) * 100) / 100)}
                           className="speed-slider-compact"
                         />
+                        {renderFieldError("speed")}
                         <div className="speed-presets-compact">
+                          <button className={`preset-btn-small ${playbackSpeed === 0.25 ? 'active' : ''}`} onClick={() => setPlaybackSpeed(0.25)}>0.25x</button>
                           <button className={`preset-btn-small ${playbackSpeed === 0.5 ? 'active' : ''}`} onClick={() => setPlaybackSpeed(0.5)}>0.5x</button>
                           <button className={`preset-btn-small ${playbackSpeed === 1.0 ? 'active' : ''}`} onClick={() => setPlaybackSpeed(1.0)}>1x</button>
                           <button className={`preset-btn-small ${playbackSpeed === 1.5 ? 'active' : ''}`} onClick={() => setPlaybackSpeed(1.5)}>1.5x</button>
                           <button className={`preset-btn-small ${playbackSpeed === 2.0 ? 'active' : ''}`} onClick={() => setPlaybackSpeed(2.0)}>2x</button>
+                          <button className={`preset-btn-small ${playbackSpeed === 4.0 ? 'active' : ''}`} onClick={() => setPlaybackSpeed(4.0)}>4x</button>
+                          <button className={`preset-btn-small ${playbackSpeed === 8.0 ? 'active' : ''}`} onClick={() => setPlaybackSpeed(8.0)}>8x</button>
+                        </div>
+                        <div className="merge-transition">
+                          <span>Audio:</span>
+                          <select
+                            className="feature-select"
+                            value={speedAudio.pitch}
+                            onChange={(e) => setSpeedAudio(prev => ({ ...prev, pitch: e.target.value }))}
+                          >
+                            <option value="preserve">🎵 Keep pitch</option>
+                            <option value="follow">🐿️ Pitch follows speed</option>
+                          </select>
                         </div>
+                        <label className="pip-checkbox">
+                          <input
+                            type="checkbox"
+                            checked={speedAudio.muteExtreme}
+                            onChange={(e) => setSpeedAudio(prev => ({ ...prev, muteExtreme: e.target.checked }))}
+                          />
+                          Mute audio below 0.5x and above 4x
+                        </label>
+                        {renderFieldError("speedAudio", "speedAudio.pitch")}
+                        <div className="merge-transition">
+                          <span>Slow motion:</span>
+                          <select
+                            className="feature-select"
+                            value={speedVideo.interpolation}
+                            onChange={(e) => setSpeedVideo({ interpolation: e.target.value })}
+                          >
+                            {INTERPOLATION_MODES.map(m => (
+                              <option key={m.id} value={m.id}>{m.label}</option>
+                            ))}
+                          </select>
+                        </div>
+                        {renderFieldError("speedVideo", "speedVideo.interpolation")}
+
+                        <div style={{ marginTop: '10px', fontSize: '11px', color: '#94a3b8', fontWeight: 'bold' }}>
+                          ⏱ Speed Ranges (times on the edited video, before the speed above)
+                        </div>
+                        <button className="feature-btn-small" onClick={addSpeedRange}>
+                          + Add Speed Range
+                        </button>
+                        {renderFieldError("speedRanges")}
+                        {speedRanges.length > 0 && (
+                          <div className="merge-list-compact">
+                            {speedRanges.map((range, i) => (
+                              <div key={i} className="merge-item-compact">
+                                <div className="merge-transition">
+                                  <input
+                                    type="number"
+                                    min="0"
+                                    step="0.1"
+                                    value={range.start}
+                                    onChange={(e) => updateSpeedRange(i, { start: Math.max(0, parseFloat(e.target.value) || 0) })}
+                                    className="feature-input-small"
+                                  />
+                                  <span className="feature-unit">–</span>
+                                  <input
+                                    type="number"
+                                    min="0"
+                                    step="0.1"
+                                    value={range.end}
+                                    onChange={(e) => updateSpeedRange(i, { end: Math.max(0, parseFloat(e.target.value) || 0) })}
+                                    className="feature-input-small"
+                                  />
+                                  <span className="feature-unit">s</span>
+                                </div>
+                                <button className="remove-btn-small" onClick={() => setSpeedRanges(prev => prev.filter((_, idx) => idx !== i))}>✕</button>
+                                <div className="merge-transition">
+                                  <select
+                                    className="feature-select"
+                                    value={range.speed}
+                                    onChange={(e) => updateSpeedRange(i, { speed: parseFloat(e.target.value) })}
+                                  >
+                                    {SPEED_RANGE_CHOICES.map(speed => (
+                                      <option key={speed} value={speed}>{speed}x</option>
+                                    ))}
+                                  </select>
+                                  <label className="pip-checkbox">
+                                    <input
+                                      type="checkbox"
+                                      checked={!!range.endSpeed}
+                                      onChange={(e) => updateSpeedRange(i, { endSpeed: e.target.checked ? 1.0 : null })}
+                                    />
+                                    Ramp to
+                                  </label>
+                                  {range.endSpeed && (
+                                    <select
+                                      className="feature-select"
+                                      value={range.endSpeed}
+                                      onChange={(e) => updateSpeedRange(i, { endSpeed: parseFloat(e.target.value) })}
+                                    >
+                                      {SPEED_RANGE_CHOICES.map(speed => (
+                                        <option key={speed} value={speed}>{speed}x</option>
+                                      ))}
+                                    </select>
+                                  )}
+                                </div>
+                                {renderFieldError(
+                                  `speedRanges[${i}]`, `speedRanges[${i}].start`, `speedRanges[${i}].end`,
+                                  `speedRanges[${i}].speed`, `speedRanges[${i}].endSpeed`
+                                )}
+                              </div>
+                            ))}
+                          </div>
+                        )}
+
+                        <div style={{ marginTop: '10px', fontSize: '11px', color: '#94a3b8', fontWeight: 'bold' }}>
+                          ⏪ Reverse (applied before the speed ranges; leave the end empty to run to the end)
+                        </div>
+                        <div className="speed-presets-compact">
+                          {REVERSE_EFFECTS.map(e => (
+                            <button key={e.id} className="feature-btn-small" onClick={() => addReverseEffect(e.id)}>
+                              + {e.label}
+                            </button>
+                          ))}
+                        </div>
+                        {renderFieldError("reverse")}
+                        {reverseEffects.length > 0 && (
+                          <div className="merge-list-compact">
+                            {reverseEffects.map((effect, i) => (
+                              <div key={i} className="merge-item-compact">
+                                <div className="merge-transition">
+                                  <input
+                                    type="number"
+                                    min="0"
+                                    step="0.1"
+                                    value={effect.start}
+                                    onChange={(e) => updateReverseEffect(i, { start: Math.max(0, parseFloat(e.target.value) || 0) })}
+                                    className="feature-input-small"
+                                  />
+                                  <span className="feature-unit">–</span>
+                                  <input
+                                    type="number"
+                                    min="0"
+                                    step="0.1"
+                                    placeholder="end"
+                                    value={effect.end ?? ""}
+                                    onChange={(e) => updateReverseEffect(i, { end: e.target.value === "" ? null : Math.max(0, parseFloat(e.target.value) || 0) })}
+                                    className="feature-input-small"
+                                  />
+                                  <span className="feature-unit">s</span>
+                                </div>
+                                <button className="remove-btn-small" onClick={() => setReverseEffects(prev => prev.filter((_, idx) => idx !== i))}>✕</button>
+                                <div className="merge-transition">
+                                  <select
+                                    className="feature-select"
+                                    value={effect.effect}
+                                    onChange={(e) => updateReverseEffect(i, { effect: e.target.value })}
+                                  >
+                                    {REVERSE_EFFECTS.map(e => (
+                                      <option key={e.id} value={e.id}>{e.label}</option>
+                                    ))}
+                                  </select>
+                                  <select
+                                    className="feature-select"
+                                    value={effect.audio}
+                                    onChange={(e) => updateReverseEffect(i, { audio: e.target.value })}
+                                  >
+                                    <option value="reverse">🔊 Reverse audio</option>
+                                    <option value="mute">🔇 Mute audio</option>
+                                  </select>
+                                </div>
+                                {renderFieldError(
+                                  `reverse[${i}]`, `reverse[${i}].start`, `reverse[${i}].end`,
+                                  `reverse[${i}].effect`, `reverse[${i}].audio`
+                                )}
+                              </div>
+                            ))}
+                          </div>
+                        )}
                       </div>
                     )}
                   </div>
@@ -724,6 +2363,7 @@ export default function App() {
                     <div className="feature-header">
                       <span className="feature-icon">🎵</span>
                       <span className="feature-title">Audio</span>
+                      {featureHasErrors("audio") && <span className="feature-badge feature-badge-error">!</span>}
                       {audioSrc && <span className="feature-badge">✓</span>}
                     </div>
                     {activeOption === "audio" && (
@@ -752,6 +2392,7 @@ export default function App() {
                                 Change
                               </button>
                             </div>
+                            {renderFieldError("audio", "audio.path", "audio.trimStart", "audio.trimEnd", "audio.videoDuration", "audio.audioDuration")}
                             {audioSrc && (
                               <audio 
                                 src={audioSrc} 
@@ -785,6 +2426,7 @@ export default function App() {
                                 <option value="mix_inserted_main">🎵 Mix: Inserted Audio as Main (video audio as background)</option>
                                 <option value="mix_video_main">🎬 Mix: Video Audio as Main (inserted audio as background)</option>
                               </select>
+                              {renderFieldError("audio.mode")}
                               <div style={{ fontSize: '10px', color: '#64748b', marginTop: '5px', fontStyle: 'italic' }}>
                                 {audioMode === "replace" 
                                   ? "Original video audio will be completely replaced"
@@ -807,6 +2449,7 @@ export default function App() {
                                   onChange={(e) => setBackgroundAudioVolume(parseFloat(e.target.value) / 100)}
                                   style={{ width: '100%' }}
                                 />
+                                {renderFieldError("audio.backgroundAudioVolume")}
                                 <div style={{ fontSize: '10px', color: '#64748b', marginTop: '3px', fontStyle: 'italic' }}>
                                   Adjust how loud the background audio should be (0% = silent, 100% = same as main)
                                 </div>
@@ -823,7 +2466,7 @@ export default function App() {
                                     setAudioPlacement("audio_priority");
                                     setAudioStartTime(0);
                                     // If audio is longer, video will loop; if shorter, audio will repeat
-                                    setAudioEndTime(Math.max(audioDuration, clip.duration));
+                                    setAudioEndTime(Math.max(audioDuration, keptDuration));
                                   }}
                                   style={{ width: '100%', textAlign: 'left', padding: '5px 10px' }}
                                 >
@@ -835,7 +2478,7 @@ export default function App() {
                                     setAudioPlacement("video_priority");
                                     setAudioStartTime(0);
                                     // If video is longer, audio will repeat; if shorter, audio will be trimmed
-                                    setAudioEndTime(clip.duration);
+                                    setAudioEndTime(keptDuration);
                                   }}
                                   style={{ width: '100%', textAlign: 'left', padding: '5px 10px' }}
                                 >
@@ -849,6 +2492,7 @@ export default function App() {
                                   ⚙️ Custom Placement
                                 </button>
                               </div>
+                              {renderFieldError("audio.placement")}
                               {audioPlacement === "audio_priority" && (
                                 <div style={{ fontSize: '10px', color: '#64748b', marginTop: '5px', fontStyle: 'italic' }}>
                                   Video will loop/repeat until audio ends
@@ -867,14 +2511,14 @@ export default function App() {
                                   <input
                                     type="number"
                                     min="0"
-                                    max={clip.duration}
+                                    max={keptDuration}
                                     step="0.1"
                                     value={audioStartTime}
                                     onChange={(e) => {
-                                      const val = Math.max(0, Math.min(parseFloat(e.target.value) || 0, clip.duration));
+                                      const val = Math.max(0, Math.min(parseFloat(e.target.value) || 0, keptDuration));
                                       setAudioStartTime(val);
                                       if (val >= audioEndTime) {
-                                        setAudioEndTime(Math.min(val + audioDuration, clip.duration));
+                                        setAudioEndTime(Math.min(val + audioDuration, keptDuration));
                                       }
                                     }}
                                     className="feature-input-small"
@@ -886,17 +2530,18 @@ export default function App() {
                                   <input
                                     type="number"
                                     min={audioStartTime}
-                                    max={clip.duration}
+                                    max={keptDuration}
                                     step="0.1"
                                     value={audioEndTime}
                                     onChange={(e) => {
-                                      const val = Math.max(audioStartTime, Math.min(parseFloat(e.target.value) || audioStartTime, clip.duration));
+                                      const val = Math.max(audioStartTime, Math.min(parseFloat(e.target.value) || audioStartTime, keptDuration));
                                       setAudioEndTime(val);
                                     }}
                                     className="feature-input-small"
                                   />
                                   <span className="feature-unit">s</span>
                                 </div>
+                                {renderFieldError("audio.startTime", "audio.endTime")}
                               </div>
                             )}
                             {audioDuration > 0 && (
@@ -941,9 +2586,23 @@ export default function App() {
                     onClick={exportAllFeatures}
                     disabled={isExporting || isGeneratingPreview}
                   >
-                    {isExporting ? "⏳ Exporting All Features..." : "💾 Export Video with All Features"}
+                    {isExporting ? "⏳ Adding to Render Queue..." : "💾 Export Video with All Features"}
                   </button>
                 </div>
+
+                {/* Job Progress */}
+                {isGeneratingPreview && previewProgress && (
+                  <div className="job-progress">
+                    <div className="job-progress-header">
+                      <span className="job-progress-step">Preview</span>
+                      <span className="job-progress-stats">{describeProgress(previewProgress)}</span>
+                      <button className="change-btn-small" onClick={() => cancelJob(previewProgress.jobId)}>Cancel</button>
+                    </div>
+                    <div className="job-progress-track">
+                      <div className="job-progress-fill" style={{ width: `${previewProgress.percent}%` }} />
+                    </div>
+                  </div>
+                )}
               </div>
             )}
           </div>
@@ -0,0 +1,47 @@
+import { useState, useCallback } from "react";
+
+const HISTORY_LIMIT = 100;
+
+/**
+ * Undo/redo history of editor state snapshots
+ * Each entry is one command: the editor state after it ran plus a label describing it
+ * @param {Function} describeChange - (previousState, state) => label for the new entry
+ */
+export function useHistory(describeChange) {
+  const [history, setHistory] = useState({ entries: [], index: -1 });
+
+  // Adds a snapshot as a new entry (no-op if it equals the current entry)
+  // Recording after an undo drops the entries that could have been redone
+  const record = useCallback((state) => {
+    const key = JSON.stringify(state);
+    setHistory(prev => {
+      const current = prev.entries[prev.index];
+      if (current && current.key === key) return prev;
+
+      const entry = {
+        state,
+        key,
+        label: current ? describeChange(current.state, state) : "Opened editor",
+        time: Date.now()
+      };
+      const entries = [...prev.entries.slice(0, prev.index + 1), entry].slice(-HISTORY_LIMIT);
+      return { entries, index: entries.length - 1 };
+    });
+  }, [describeChange]);
+
+  // Moves to an entry and returns its state for the caller to apply
+  function jumpTo(index) {
+    if (index < 0 || index >= history.entries.length || index === history.index) return null;
+    setHistory(prev => ({ ...prev, index }));
+    return history.entries[index].state;
+  }
+
+  return {
+    entries: history.entries,
+    index: history.index,
+    canUndo: history.index > 0,
+    canRedo: history.index < history.entries.length - 1,
+    record,
+    jumpTo
+  };
+}